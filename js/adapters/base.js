@@ -0,0 +1,136 @@
+// Base class for player adapters registered with VideoPlayer.registerAdapter()
+//
+// An adapter owns a single embedded player inside the room's video container.
+// It reports what the player does through the events it is constructed with
+// (onPlay, onPause, onEnded, onSeek, onBuffering) and VideoPlayer handles the rest,
+// including polling the time of players that have no seek event of their own.
+export class PlayerAdapter {
+    // Return a normalised URL if this adapter can play it, otherwise null
+    static matchUrl(url) {
+        return null;
+    }
+    
+    // Optional slower check (e.g. a network request) for URLs no adapter matched by name
+    static async probeUrl(url) {
+        return null;
+    }
+    
+    constructor(container, events) {
+        this.container = container;
+        this.events = events;
+        this.player = null;
+        
+        // State tracking
+        this.currentTime = 0;
+        this.duration = 0;
+        this.playing = false;
+        this.muted = false;
+        this.volume = 0.5;
+        this.playbackRate = 1;
+    }
+    
+    // Create the player and resolve once it is ready to play
+    async load(url) {
+        throw new Error(`${this.constructor.name} does not implement load()`);
+    }
+    
+    async play() {}
+    
+    async pause() {}
+    
+    async seek(time) {
+        this.currentTime = time;
+    }
+    
+    getCurrentTime() {
+        return this.currentTime;
+    }
+    
+    getDuration() {
+        return this.duration || 0;
+    }
+    
+    isPlaying() {
+        return this.playing;
+    }
+    
+    async setVolume(volume) {
+        this.volume = volume;
+    }
+    
+    async toggleMute() {}
+    
+    isMuted() {
+        return this.muted;
+    }
+    
+    // Resolve true if the rate was applied, false if the backend can't play at it
+    async setPlaybackRate(rate) {
+        return false;
+    }
+    
+    getPlaybackRate() {
+        return this.playbackRate;
+    }
+    
+    // False if the player never reports seeks, so VideoPlayer watches for jumps in its time instead
+    hasSeekEvents() {
+        return true;
+    }
+    
+    // Live sources have no timeline of their own to seek or report
+    isLive() {
+        return false;
+    }
+    
+    // MediaStream of what the player is showing, for adapters that can provide one
+    captureStream() {
+        return null;
+    }
+    
+    // Native picture-in-picture, for players built on a <video> element
+    canPictureInPicture() {
+        return false;
+    }
+    
+    async togglePictureInPicture() {}
+    
+    // Caption tracks built into the player: [{ id, label, language }]
+    async getTextTracks() {
+        return [];
+    }
+    
+    // Show the player's caption track with this id, or hide captions for null
+    async setTextTrack(id) {}
+    
+    destroy() {
+        this.container.innerHTML = '';
+        this.player = null;
+    }
+}
+
+// Content-Type of a URL via a HEAD request, shared between adapter probes
+const contentTypes = new Map();
+
+export function fetchContentType(url) {
+    if (!contentTypes.has(url)) {
+        contentTypes.set(url, fetch(url, { method: 'HEAD' })
+            .then(response => (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase())
+            .catch(() => ''));
+    }
+    return contentTypes.get(url);
+}
+
+// Poll for a global set by a <script> tag (YouTube and Vimeo APIs)
+export function waitForGlobal(check) {
+    return new Promise((resolve) => {
+        const poll = () => {
+            if (check()) {
+                resolve();
+            } else {
+                setTimeout(poll, 100);
+            }
+        };
+        poll();
+    });
+}
@@ -0,0 +1,87 @@
+// Local files picked from disk, played through object URLs
+//
+// The room only ever sees a "local:<hash>" URL; each viewer maps it to their own copy of the file.
+import { MediaAdapter } from './media.js';
+
+// Bytes read from each sampled chunk of a file when fingerprinting it
+const SAMPLE_SIZE = 64 * 1024;
+const SAMPLE_COUNT = 5;
+
+// Room URL -> { objectUrl, name, size, hash } of the file picked for it
+const localFiles = new Map();
+
+// Identify a file by its size and a hash of evenly spaced chunks, without reading all of it
+export async function fingerprintFile(file) {
+    const chunks = [String(file.size)];
+    const lastStart = Math.max(0, file.size - SAMPLE_SIZE);
+    
+    for (let i = 0; i < SAMPLE_COUNT; i++) {
+        const start = Math.floor(lastStart * i / (SAMPLE_COUNT - 1));
+        chunks.push(file.slice(start, start + SAMPLE_SIZE));
+    }
+    
+    const digest = await crypto.subtle.digest('SHA-256', await new Blob(chunks).arrayBuffer());
+    const hash = Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+    
+    return {
+        name: file.name,
+        size: file.size,
+        hash: hash.slice(0, 32)
+    };
+}
+
+// Pick a file for a room URL (or a new <scheme>:<hash> URL) and return the URL
+export async function registerLocalFile(file, url = null, scheme = 'local') {
+    const fingerprint = await fingerprintFile(file);
+    url = url || `${scheme}:${fingerprint.hash}`;
+    
+    const previous = localFiles.get(url);
+    if (previous) {
+        URL.revokeObjectURL(previous.objectUrl);
+    }
+    
+    localFiles.set(url, {
+        ...fingerprint,
+        objectUrl: URL.createObjectURL(file)
+    });
+    return url;
+}
+
+export function getLocalFile(url) {
+    return localFiles.get(url) || null;
+}
+
+// Same file if content and size match and durations agree to within a second
+export function fingerprintsMatch(a, b) {
+    return Boolean(a && b) &&
+        a.hash === b.hash &&
+        a.size === b.size &&
+        Math.abs((a.duration || 0) - (b.duration || 0)) < 1;
+}
+
+export class LocalFileAdapter extends MediaAdapter {
+    static matchUrl(url) {
+        return /^local:[0-9a-f]+$/.test(url) ? url : null;
+    }
+    
+    async load(url) {
+        const localFile = getLocalFile(url);
+        if (!localFile) {
+            throw new Error('No local file picked for this video');
+        }
+        
+        this.url = url;
+        this.fileName = localFile.name;
+        
+        return new Promise((resolve, reject) => {
+            const video = this.createVideoElement(resolve, reject);
+            video.src = localFile.objectUrl;
+        });
+    }
+    
+    getMediaTitle() {
+        return this.fileName;
+    }
+}
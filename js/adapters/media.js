@@ -0,0 +1,216 @@
+// HTML5 <video> adapter for any browser-playable file: MP4, WebM, Ogg, MOV, MP3 and other audio
+import { PlayerAdapter, fetchContentType } from './base.js';
+
+// Direct media file extensions and the MIME types to probe for each
+const MEDIA_EXTENSIONS = {
+    mp4: ['video/mp4'],
+    m4v: ['video/mp4'],
+    webm: ['video/webm'],
+    ogv: ['video/ogg'],
+    ogg: ['video/ogg', 'audio/ogg'],
+    mov: ['video/quicktime', 'video/mp4'],
+    mp3: ['audio/mpeg'],
+    m4a: ['audio/mp4'],
+    aac: ['audio/aac', 'audio/mp4'],
+    oga: ['audio/ogg'],
+    opus: ['audio/ogg; codecs="opus"'],
+    wav: ['audio/wav'],
+    flac: ['audio/flac']
+};
+
+// Returns the first MIME type the browser reports it may be able to play
+export function getPlayableMimeType(mimeTypes) {
+    const probe = document.createElement('video');
+    return mimeTypes.find(mimeType => probe.canPlayType(mimeType) !== '') || null;
+}
+
+export class MediaAdapter extends PlayerAdapter {
+    static matchUrl(url) {
+        try {
+            const urlObj = new URL(url);
+            
+            // Direct media files, by extension
+            const extension = urlObj.pathname.toLowerCase().split('.').pop();
+            if (MEDIA_EXTENSIONS[extension]) {
+                return getPlayableMimeType(MEDIA_EXTENSIONS[extension]) ? url : null;
+            }
+            
+            // MP4 links without a clean extension (e.g. /video.mp4/download)
+            if (url.toLowerCase().includes('.mp4')) {
+                return url;
+            }
+        } catch (error) {
+            // ignore
+        }
+        return null;
+    }
+    
+    // Sniff the Content-Type of URLs that don't have a recognisable extension
+    static async probeUrl(url) {
+        // Empty if the server doesn't allow cross-origin HEAD requests
+        const contentType = await fetchContentType(url);
+        
+        if (contentType.startsWith('video/') || contentType.startsWith('audio/')) {
+            return getPlayableMimeType([contentType]) ? url : null;
+        }
+        return null;
+    }
+    
+    async load(url) {
+        this.url = url;
+        
+        return new Promise((resolve, reject) => {
+            const video = this.createVideoElement(resolve, reject);
+            video.src = url;
+        });
+    }
+    
+    // Shared <video> element for direct media and MSE streams
+    createVideoElement(resolve, reject) {
+        const video = document.createElement('video');
+        video.style.width = '100%';
+        video.style.height = '100%';
+        video.style.backgroundColor = '#000';
+        video.preload = 'metadata';
+        
+        video.addEventListener('loadedmetadata', () => {
+            // Live streams report an infinite duration
+            this.duration = isFinite(video.duration) ? video.duration : 0;
+            
+            // Sources without a video track get the audio layout instead of a black box
+            if (video.videoWidth === 0 && video.videoHeight === 0) {
+                this.setAudioOnly(true);
+            }
+            
+            resolve();
+        });
+        
+        video.addEventListener('play', () => {
+            this.playing = true;
+            this.container.classList.add('playing');
+            this.events.onPlay();
+        });
+        
+        video.addEventListener('pause', () => {
+            this.playing = false;
+            this.container.classList.remove('playing');
+            this.events.onPause();
+        });
+        
+        video.addEventListener('ended', () => {
+            this.playing = false;
+            this.events.onEnded();
+        });
+        
+        video.addEventListener('seeked', () => {
+            this.events.onSeek(video.currentTime);
+        });
+        
+        // Stalled waiting for data, then enough buffered to continue
+        video.addEventListener('waiting', () => {
+            this.events.onBuffering(true);
+        });
+        
+        video.addEventListener('canplay', () => {
+            this.events.onBuffering(false);
+        });
+        
+        video.addEventListener('error', () => {
+            reject(new Error('Failed to load video'));
+        });
+        
+        this.player = video;
+        this.container.appendChild(video);
+        return video;
+    }
+    
+    setAudioOnly(audioOnly) {
+        this.container.classList.toggle('audio-only', audioOnly);
+        this.container.classList.remove('playing');
+        this.container.querySelector('.audio-placeholder')?.remove();
+        
+        if (!audioOnly) return;
+        
+        const placeholder = document.createElement('div');
+        placeholder.className = 'audio-placeholder';
+        placeholder.innerHTML = `
+            <div class="audio-cover">🎵</div>
+            <div class="audio-title"></div>
+            <div class="audio-waveform">${'<span></span>'.repeat(16)}</div>
+        `;
+        placeholder.querySelector('.audio-title').textContent = this.getMediaTitle();
+        this.container.appendChild(placeholder);
+    }
+    
+    getMediaTitle() {
+        try {
+            const fileName = new URL(this.url).pathname.split('/').pop();
+            return decodeURIComponent(fileName) || 'Audio';
+        } catch (error) {
+            return 'Audio';
+        }
+    }
+    
+    async play() {
+        await this.player.play();
+    }
+    
+    async pause() {
+        this.player.pause();
+    }
+    
+    async seek(time) {
+        this.player.currentTime = time;
+        this.currentTime = time;
+    }
+    
+    getCurrentTime() {
+        return this.player.currentTime || 0;
+    }
+    
+    async setVolume(volume) {
+        this.volume = volume;
+        this.player.volume = volume;
+    }
+    
+    async toggleMute() {
+        this.player.muted = !this.player.muted;
+        this.muted = this.player.muted;
+    }
+    
+    async setPlaybackRate(rate) {
+        this.player.playbackRate = rate;
+        this.playbackRate = rate;
+        return true;
+    }
+    
+    getPlaybackRate() {
+        return this.player.playbackRate;
+    }
+    
+    canPictureInPicture() {
+        // Audio has no picture to show
+        return Boolean(document.pictureInPictureEnabled) && !this.container.classList.contains('audio-only');
+    }
+    
+    async togglePictureInPicture() {
+        if (document.pictureInPictureElement === this.player) {
+            await document.exitPictureInPicture();
+        } else {
+            await this.player.requestPictureInPicture();
+        }
+    }
+    
+    captureStream() {
+        // Firefox still prefixes it
+        return this.player.captureStream ? this.player.captureStream() : this.player.mozCaptureStream();
+    }
+    
+    destroy() {
+        if (this.player) {
+            this.player.remove();
+        }
+        this.setAudioOnly(false);
+        super.destroy();
+    }
+}
@@ -0,0 +1,109 @@
+// Adaptive streaming adapters: HLS via hls.js and DASH via dash.js, both over MSE
+import { loadScript } from '../app.js';
+import { fetchContentType } from './base.js';
+import { MediaAdapter } from './media.js';
+
+// MSE streaming engines, loaded on demand
+const HLS_SCRIPT_URL = 'https://cdn.jsdelivr.net/npm/hls.js@1.5.7/dist/hls.min.js';
+const DASH_SCRIPT_URL = 'https://cdn.dashjs.org/v4.7.4/dash.all.min.js';
+
+export class HLSAdapter extends MediaAdapter {
+    static matchUrl(url) {
+        try {
+            return new URL(url).pathname.toLowerCase().endsWith('.m3u8') ? url : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    static async probeUrl(url) {
+        const contentType = await fetchContentType(url);
+        return contentType === 'application/vnd.apple.mpegurl' || contentType === 'application/x-mpegurl'
+            ? url : null;
+    }
+    
+    async load(url) {
+        this.url = url;
+        
+        // Prefer hls.js over MSE; fall back to native HLS (Safari, iOS) if it can't be used
+        let Hls = null;
+        try {
+            Hls = await loadScript(HLS_SCRIPT_URL, 'Hls');
+        } catch (error) {
+            console.error('Failed to load HLS engine:', error);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const video = this.createVideoElement(resolve, reject);
+            
+            if (Hls && Hls.isSupported()) {
+                const hls = new Hls();
+                hls.on(Hls.Events.ERROR, (event, data) => {
+                    if (data.fatal) {
+                        reject(new Error(`HLS error: ${data.details}`));
+                    }
+                });
+                hls.loadSource(url);
+                hls.attachMedia(video);
+                this.streamEngine = hls;
+            } else if (video.canPlayType('application/vnd.apple.mpegurl')) {
+                video.src = url;
+            } else {
+                reject(new Error('HLS playback is not supported in this browser'));
+            }
+        });
+    }
+    
+    destroy() {
+        if (this.streamEngine) {
+            this.streamEngine.destroy();
+            this.streamEngine = null;
+        }
+        super.destroy();
+    }
+}
+
+export class DASHAdapter extends MediaAdapter {
+    static matchUrl(url) {
+        try {
+            return new URL(url).pathname.toLowerCase().endsWith('.mpd') ? url : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    static async probeUrl(url) {
+        const contentType = await fetchContentType(url);
+        return contentType === 'application/dash+xml' ? url : null;
+    }
+    
+    async load(url) {
+        this.url = url;
+        
+        const dashjs = await loadScript(DASH_SCRIPT_URL, 'dashjs');
+        
+        return new Promise((resolve, reject) => {
+            const video = this.createVideoElement(resolve, reject);
+            
+            if (!dashjs.supportsMediaSource()) {
+                reject(new Error('DASH playback is not supported in this browser'));
+                return;
+            }
+            
+            const dash = dashjs.MediaPlayer().create();
+            dash.on(dashjs.MediaPlayer.events.ERROR, (event) => {
+                reject(new Error(`DASH error: ${event.error?.message || event.error}`));
+            });
+            dash.initialize(video, url, false);
+            this.streamEngine = dash;
+        });
+    }
+    
+    destroy() {
+        if (this.streamEngine) {
+            this.streamEngine.reset();
+            this.streamEngine = null;
+        }
+        super.destroy();
+    }
+}
@@ -0,0 +1,169 @@
+// Vimeo Player API adapter
+import { PlayerAdapter, waitForGlobal } from './base.js';
+
+export class VimeoAdapter extends PlayerAdapter {
+    constructor(container, events) {
+        super(container, events);
+        
+        // Set once Vimeo refuses a rate change; the account has no speed controls, so stop asking
+        this.rateLocked = false;
+    }
+    
+    static matchUrl(url) {
+        try {
+            const urlObj = new URL(url);
+            
+            if (!urlObj.hostname.includes('vimeo.com')) {
+                return null;
+            }
+            
+            const match = urlObj.pathname.match(/\/(\d+)/);
+            return match ? `https://vimeo.com/${match[1]}` : url;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    static extractId(url) {
+        const match = url.match(/vimeo\.com\/(?:video\/)?(\d+)/);
+        return match ? match[1] : null;
+    }
+    
+    async load(url) {
+        const videoId = VimeoAdapter.extractId(url);
+        if (!videoId) {
+            throw new Error('Invalid Vimeo URL');
+        }
+        
+        // Wait for Vimeo API to be ready
+        await waitForGlobal(() => window.Vimeo && window.Vimeo.Player);
+        
+        const iframe = document.createElement('iframe');
+        iframe.src = `https://player.vimeo.com/video/${videoId}?background=1&controls=0`;
+        iframe.width = '100%';
+        iframe.height = '100%';
+        iframe.style.border = 'none';
+        
+        this.container.appendChild(iframe);
+        
+        this.player = new Vimeo.Player(iframe);
+        
+        // Set up event listeners
+        this.player.on('play', () => {
+            this.playing = true;
+            this.events.onPlay();
+        });
+        
+        this.player.on('pause', () => {
+            this.playing = false;
+            this.events.onPause();
+        });
+        
+        this.player.on('ended', () => {
+            this.playing = false;
+            this.events.onEnded();
+        });
+        
+        this.player.on('seeked', (data) => {
+            this.currentTime = data.seconds;
+            this.events.onSeek(data.seconds);
+        });
+        
+        this.player.on('bufferstart', () => {
+            this.events.onBuffering(true);
+        });
+        
+        this.player.on('bufferend', () => {
+            this.events.onBuffering(false);
+        });
+        
+        // Vimeo getters are async, so we track them
+        this.player.on('timeupdate', (data) => {
+            this.currentTime = data.seconds;
+        });
+        
+        this.player.on('playbackratechange', (data) => {
+            this.playbackRate = data.playbackRate;
+        });
+        
+        // A private or deleted video reports an error instead of ever becoming ready
+        const failed = new Promise((resolve, reject) => {
+            this.player.on('error', reject);
+        });
+        await Promise.race([this.player.ready(), failed]);
+        this.duration = await this.player.getDuration();
+    }
+    
+    async play() {
+        await this.player.play();
+    }
+    
+    async pause() {
+        await this.player.pause();
+    }
+    
+    async seek(time) {
+        await this.player.setCurrentTime(time);
+        this.currentTime = time;
+    }
+    
+    async setVolume(volume) {
+        this.volume = volume;
+        await this.player.setVolume(volume);
+    }
+    
+    async toggleMute() {
+        const volume = await this.player.getVolume();
+        if (volume > 0) {
+            this.volume = volume;
+            await this.player.setVolume(0);
+            this.muted = true;
+        } else {
+            await this.player.setVolume(this.volume);
+            this.muted = false;
+        }
+    }
+    
+    async setPlaybackRate(rate) {
+        // Stuck at normal speed; callers fall back to seeking
+        if (this.rateLocked) return rate === 1;
+        
+        try {
+            await this.player.setPlaybackRate(rate);
+            this.playbackRate = rate;
+            return true;
+        } catch (error) {
+            // Vimeo rejects rate changes on accounts without speed controls
+            console.error('Failed to set playback rate:', error);
+            this.rateLocked = true;
+            return false;
+        }
+    }
+    
+    async getTextTracks() {
+        const tracks = await this.player.getTextTracks();
+        
+        return tracks.map(track => ({
+            id: `${track.language}.${track.kind}`,
+            label: track.label,
+            language: track.language
+        }));
+    }
+    
+    async setTextTrack(id) {
+        if (!id) {
+            await this.player.disableTextTrack();
+            return;
+        }
+        
+        const [language, kind] = id.split('.');
+        await this.player.enableTextTrack(language, kind);
+    }
+    
+    destroy() {
+        if (this.player && this.player.destroy) {
+            this.player.destroy();
+        }
+        super.destroy();
+    }
+}
@@ -0,0 +1,61 @@
+// Host's local file streamed to viewers over WebRTC
+//
+// The host plays the file itself (like a local file) and the room captures that element;
+// viewers render the MediaStream they receive for the same "webrtc:<hash>" URL.
+import { LocalFileAdapter, getLocalFile } from './local.js';
+
+// Room URL -> MediaStream received from the host
+const remoteStreams = new Map();
+
+export function setRemoteStream(url, stream) {
+    remoteStreams.set(url, stream);
+}
+
+export function getRemoteStream(url) {
+    return remoteStreams.get(url) || null;
+}
+
+export class WebRTCAdapter extends LocalFileAdapter {
+    static matchUrl(url) {
+        return /^webrtc:[0-9a-f]+$/.test(url) ? url : null;
+    }
+    
+    async load(url) {
+        // The host has the file and plays it like any local file
+        if (getLocalFile(url)) {
+            return super.load(url);
+        }
+        
+        const stream = getRemoteStream(url);
+        if (!stream) {
+            throw new Error('Not connected to the host\'s stream');
+        }
+        
+        this.url = url;
+        this.fileName = 'Live stream';
+        this.live = true;
+        
+        return new Promise((resolve, reject) => {
+            const video = this.createVideoElement(resolve, reject);
+            video.srcObject = stream;
+        });
+    }
+    
+    // The stream only carries what the host is playing right now
+    isLive() {
+        return Boolean(this.live);
+    }
+    
+    async seek(time) {
+        if (!this.live) {
+            await super.seek(time);
+        }
+    }
+    
+    destroy() {
+        if (this.player) {
+            this.player.srcObject = null;
+        }
+        super.destroy();
+    }
+}
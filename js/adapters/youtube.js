@@ -0,0 +1,229 @@
+// YouTube IFrame API adapter
+import { PlayerAdapter, waitForGlobal } from './base.js';
+
+export class YouTubeAdapter extends PlayerAdapter {
+    constructor(container, events) {
+        super(container, events);
+        
+        // Buffering lasts until the player plays again, or (paused) has this many seconds loaded ahead
+        this.buffering = false;
+        this.bufferAhead = 5;
+        this.bufferCheck = null;
+    }
+    
+    static matchUrl(url) {
+        try {
+            const urlObj = new URL(url);
+            
+            if (!urlObj.hostname.includes('youtube.com') && !urlObj.hostname.includes('youtu.be')) {
+                return null;
+            }
+            
+            let videoId = '';
+            if (urlObj.hostname === 'youtu.be') {
+                videoId = urlObj.pathname.slice(1);
+            } else if (urlObj.searchParams.has('v')) {
+                videoId = urlObj.searchParams.get('v');
+            }
+            
+            return videoId ? `https://www.youtube.com/watch?v=${videoId}` : url;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    static extractId(url) {
+        const patterns = [
+            /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([^&\n?#]+)/,
+            /youtube\.com\/v\/([^&\n?#]+)/
+        ];
+        
+        for (const pattern of patterns) {
+            const match = url.match(pattern);
+            if (match) {
+                return match[1];
+            }
+        }
+        return null;
+    }
+    
+    async load(url) {
+        const videoId = YouTubeAdapter.extractId(url);
+        if (!videoId) {
+            throw new Error('Invalid YouTube URL');
+        }
+        
+        // Wait for YouTube API to be ready
+        await waitForGlobal(() => window.YT && window.YT.Player);
+        
+        return new Promise((resolve, reject) => {
+            const playerDiv = document.createElement('div');
+            playerDiv.id = 'youtube-player';
+            this.container.appendChild(playerDiv);
+            
+            // By element rather than id, so the player can be built outside the main document
+            this.player = new YT.Player(playerDiv, {
+                height: '100%',
+                width: '100%',
+                videoId: videoId,
+                playerVars: {
+                    controls: 0,
+                    modestbranding: 1,
+                    rel: 0,
+                    showinfo: 0
+                },
+                events: {
+                    onReady: () => {
+                        this.duration = this.player.getDuration();
+                        
+                        // Load captions so their track list is available; they stay hidden until selected
+                        this.player.loadModule('captions');
+                        resolve();
+                    },
+                    onStateChange: (event) => {
+                        const state = event.data;
+                        
+                        // Leaving BUFFERING isn't enough: pausing a buffering player (as a held room
+                        // does) moves it to PAUSED with nothing more loaded
+                        if (state === YT.PlayerState.BUFFERING) {
+                            this.setBuffering(true);
+                        } else if (state === YT.PlayerState.PLAYING || state === YT.PlayerState.ENDED) {
+                            this.setBuffering(false);
+                        } else if (this.buffering) {
+                            this.waitForData();
+                        }
+                        
+                        if (state === YT.PlayerState.PLAYING) {
+                            this.playing = true;
+                            this.events.onPlay();
+                        } else if (state === YT.PlayerState.PAUSED) {
+                            this.playing = false;
+                            this.events.onPause();
+                        } else if (state === YT.PlayerState.ENDED) {
+                            this.playing = false;
+                            this.events.onEnded();
+                        }
+                    },
+                    onError: (event) => {
+                        reject(new Error(`YouTube error: ${event.data}`));
+                    },
+                    // Fired when the captions module loads and its track list becomes available
+                    onApiChange: () => {
+                        this.events.onTextTracksChange();
+                    }
+                }
+            });
+        });
+    }
+    
+    setBuffering(buffering) {
+        clearInterval(this.bufferCheck);
+        this.bufferCheck = null;
+        
+        if (buffering !== this.buffering) {
+            this.buffering = buffering;
+            this.events.onBuffering(buffering);
+        }
+    }
+    
+    // Paused mid-buffer: the player keeps loading, so finish buffering once it has enough
+    waitForData() {
+        if (this.bufferCheck) return;
+        
+        this.bufferCheck = setInterval(() => {
+            if (this.hasDataAhead()) {
+                this.setBuffering(false);
+            }
+        }, 500);
+    }
+    
+    hasDataAhead() {
+        const duration = this.player.getDuration();
+        if (!duration) return true;
+        
+        const loadedUntil = this.player.getVideoLoadedFraction() * duration;
+        return loadedUntil >= Math.min(duration, this.player.getCurrentTime() + this.bufferAhead);
+    }
+    
+    // YouTube doesn't have a seeked event; VideoPlayer tracks time changes instead
+    hasSeekEvents() {
+        return false;
+    }
+    
+    async play() {
+        this.player.playVideo();
+    }
+    
+    async pause() {
+        this.player.pauseVideo();
+    }
+    
+    async seek(time) {
+        this.player.seekTo(time, true);
+        this.currentTime = time;
+    }
+    
+    getCurrentTime() {
+        return this.player.getCurrentTime() || 0;
+    }
+    
+    isPlaying() {
+        return this.player.getPlayerState() === YT.PlayerState.PLAYING;
+    }
+    
+    async setVolume(volume) {
+        this.volume = volume;
+        this.player.setVolume(volume * 100);
+    }
+    
+    async toggleMute() {
+        if (this.player.isMuted()) {
+            this.player.unMute();
+            this.muted = false;
+        } else {
+            this.player.mute();
+            this.muted = true;
+        }
+    }
+    
+    isMuted() {
+        return this.player.isMuted();
+    }
+    
+    async setPlaybackRate(rate) {
+        // YouTube only accepts its own discrete set of rates
+        const availableRates = this.player.getAvailablePlaybackRates();
+        if (!availableRates.includes(rate)) return false;
+        
+        this.player.setPlaybackRate(rate);
+        this.playbackRate = rate;
+        return true;
+    }
+    
+    getPlaybackRate() {
+        return this.player.getPlaybackRate();
+    }
+    
+    async getTextTracks() {
+        const tracklist = this.player.getOption('captions', 'tracklist') || [];
+        
+        return tracklist.map(track => ({
+            id: track.languageCode,
+            label: track.displayName,
+            language: track.languageCode
+        }));
+    }
+    
+    async setTextTrack(id) {
+        this.player.setOption('captions', 'track', id ? { languageCode: id } : {});
+    }
+    
+    destroy() {
+        clearInterval(this.bufferCheck);
+        
+        if (this.player && this.player.destroy) {
+            this.player.destroy();
+        }
+        super.destroy();
+    }
+}
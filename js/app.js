@@ -68,73 +68,50 @@ export function setUserName(name) {
     localStorage.setItem('displayName', name.trim());
 }
 
-// Room ID generation
-export function generateRoomId() {
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    let result = '';
-    for (let i = 0; i < 6; i++) {
-        result += chars.charAt(Math.floor(Math.random() * chars.length));
+// User id kept for this browser, so reloads and other tabs are the same person
+export function getUserId() {
+    let userId = localStorage.getItem('userId');
+    if (!userId) {
+        userId = generateUserId();
+        localStorage.setItem('userId', userId);
     }
-    return result;
+    return userId;
 }
 
-// URL validation
-export function validateVideoUrl(url) {
+// Watch history: where this browser last was in each video (and the room it was watched in), newest first
+const MAX_HISTORY = 10;
+
+export function getWatchHistory() {
     try {
-        const urlObj = new URL(url);
-        
-        // YouTube patterns
-        if (urlObj.hostname.includes('youtube.com') || urlObj.hostname.includes('youtu.be')) {
-            return { type: 'youtube', url: cleanYouTubeUrl(url) };
-        }
-        
-        // Vimeo patterns
-        if (urlObj.hostname.includes('vimeo.com')) {
-            return { type: 'vimeo', url: cleanVimeoUrl(url) };
-        }
-        
-        // MP4 pattern
-        if (url.toLowerCase().includes('.mp4') || urlObj.pathname.toLowerCase().endsWith('.mp4')) {
-            return { type: 'mp4', url: url };
-        }
-        
-        return null;
+        return JSON.parse(localStorage.getItem('watchHistory')) || [];
     } catch (error) {
-        return null;
+        return [];
     }
 }
 
-function cleanYouTubeUrl(url) {
-    try {
-        const urlObj = new URL(url);
-        let videoId = '';
-        
-        if (urlObj.hostname === 'youtu.be') {
-            videoId = urlObj.pathname.slice(1);
-        } else if (urlObj.searchParams.has('v')) {
-            videoId = urlObj.searchParams.get('v');
-        }
-        
-        if (videoId) {
-            return `https://www.youtube.com/watch?v=${videoId}`;
-        }
-    } catch (error) {
-        // ignore
-    }
-    return url;
+export function getWatchProgress(url) {
+    return getWatchHistory().find(entry => entry.url === url) || null;
 }
 
-function cleanVimeoUrl(url) {
-    try {
-        const urlObj = new URL(url);
-        const match = urlObj.pathname.match(/\/(\d+)/);
-        if (match) {
-            return `https://vimeo.com/${match[1]}`;
-        }
-    } catch (error) {
-        // ignore
+export function saveWatchProgress({ roomId, url, label, time, duration }) {
+    const history = getWatchHistory().filter(entry => entry.url !== url);
+    history.unshift({ roomId, url, label, time, duration, updatedAt: Date.now() });
+    localStorage.setItem('watchHistory', JSON.stringify(history.slice(0, MAX_HISTORY)));
+}
+
+// Worth offering to resume: well into the video but not at the end
+export function isResumable({ time, duration }) {
+    return time > 30 && (!duration || time < duration - 30);
+}
+
+// Room ID generation
+export function generateRoomId() {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+    let result = '';
+    for (let i = 0; i < 6; i++) {
+        result += chars.charAt(Math.floor(Math.random() * chars.length));
     }
-    return url;
+    return result;
 }
 
 // Text utilities
@@ -150,8 +127,13 @@ export function linkifyText(text) {
 }
 
 export function formatTime(seconds) {
-    const minutes = Math.floor(seconds / 60);
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
     const remainingSeconds = Math.floor(seconds % 60);
+    
+    if (hours > 0) {
+        return `${hours}:${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
+    }
     return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
 }
 
@@ -160,6 +142,15 @@ export function formatTimestamp(timestamp) {
     return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 }
 
+// Database key for a video URL (URLs contain characters keys can't)
+export async function getVideoKey(url) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(url));
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('')
+        .slice(0, 32);
+}
+
 // Firebase initialization check
 export async function checkFirebaseConfig() {
     try {
@@ -231,6 +222,8 @@ export async function initializeLanding() {
         window.location.href = `room.html?r=${roomId}`;
     });
     
+    renderWatchHistory();
+    
     // Join room handlers
     joinRoomBtn.addEventListener('click', joinRoom);
     roomIdInput.addEventListener('keypress', (e) => {
@@ -262,6 +255,24 @@ export async function initializeLanding() {
     }
 }
 
+// "Continue watching" list of videos this browser was watching, each linking to its room
+function renderWatchHistory() {
+    const section = document.getElementById('watch-history');
+    const list = document.getElementById('watch-history-list');
+    const history = getWatchHistory();
+    
+    section.classList.toggle('hidden', history.length === 0);
+    list.innerHTML = history.map(entry => `
+        <li>
+            <a href="room.html?r=${encodeURIComponent(entry.roomId)}" class="history-item">
+                <span class="history-room">${escapeHtml(entry.roomId)}</span>
+                <span class="history-title">${escapeHtml(entry.label || entry.url)}</span>
+                <span class="history-time">${isResumable(entry) ? `Resume at ${formatTime(entry.time)}` : 'Rejoin'}</span>
+            </a>
+        </li>
+    `).join('');
+}
+
 // Copy to clipboard utility
 export async function copyToClipboard(text) {
     try {
@@ -340,6 +351,31 @@ export function generateUserId() {
     return 'user_' + Math.random().toString(36).substr(2, 9);
 }
 
+// Load a classic script once and resolve with the global it defines
+const scriptPromises = new Map();
+
+export function loadScript(src, globalName) {
+    if (window[globalName]) {
+        return Promise.resolve(window[globalName]);
+    }
+    
+    if (!scriptPromises.has(src)) {
+        scriptPromises.set(src, new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.async = true;
+            script.onload = () => resolve(window[globalName]);
+            script.onerror = () => {
+                scriptPromises.delete(src);
+                reject(new Error(`Failed to load ${src}`));
+            };
+            document.head.appendChild(script);
+        }));
+    }
+    
+    return scriptPromises.get(src);
+}
+
 // Auto-resize textarea
 export function autoResizeTextarea(textarea) {
     textarea.style.height = 'auto';
@@ -0,0 +1,302 @@
+// Shared bookmarks per video, shown as chapter markers on the seek bar
+import {
+    showToast,
+    escapeHtml,
+    formatTime,
+    getVideoKey,
+    RateLimiter
+} from './app.js';
+
+// hh:mm:ss.ttt as WebVTT cue timings need
+function formatVttTimestamp(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const wholeSeconds = Math.floor(seconds % 60);
+    const millis = Math.round((seconds % 1) * 1000);
+    
+    return [hours, minutes, wholeSeconds].map(part => String(part).padStart(2, '0')).join(':') +
+        `.${String(millis).padStart(3, '0')}`;
+}
+
+// Each bookmark starts a chapter that runs until the next one (or the end of the video)
+export function bookmarksToVtt(bookmarks, duration) {
+    const sorted = [...bookmarks].sort((a, b) => a.time - b.time);
+    
+    const cues = sorted.map((bookmark, index) => {
+        const next = sorted[index + 1];
+        const end = next ? next.time : Math.max(duration, bookmark.time + 1);
+        return `${index + 1}\n${formatVttTimestamp(bookmark.time)} --> ${formatVttTimestamp(end)}\n${bookmark.label.replace(/-->/g, '→')}`;
+    });
+    
+    return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+}
+
+export class BookmarkManager {
+    constructor(db, roomId, userId, userName, videoPlayer) {
+        this.db = db;
+        this.roomId = roomId;
+        this.userId = userId;
+        this.userName = userName;
+        this.videoPlayer = videoPlayer;
+        this.isHost = false;
+        
+        // Bookmarks of the current video sorted by time
+        this.videoUrl = null;
+        this.videoKey = null;
+        this.bookmarks = [];
+        this.unsubscribe = null;
+        
+        // Duration the markers were last laid out for
+        this.markerDuration = 0;
+        
+        // Rate limiting (3 bookmarks per 10s)
+        this.rateLimiter = new RateLimiter(3, 10000);
+        
+        // Max bookmarks per video
+        this.maxBookmarks = 100;
+        
+        this.onJumpCallback = null;
+        
+        this.init();
+    }
+    
+    init() {
+        this.setupEventListeners();
+        this.render();
+    }
+    
+    setupEventListeners() {
+        const labelInput = document.getElementById('bookmark-label-input');
+        
+        document.getElementById('add-bookmark-btn').addEventListener('click', () => {
+            this.addFromInput();
+        });
+        
+        labelInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.addFromInput();
+            }
+        });
+        
+        // Collapse/expand the panel
+        document.getElementById('toggle-bookmarks-btn').addEventListener('click', (e) => {
+            const body = document.getElementById('bookmarks-body');
+            body.classList.toggle('hidden');
+            e.currentTarget.textContent = body.classList.contains('hidden') ? '▸' : '▾';
+        });
+        
+        document.getElementById('export-bookmarks-btn').addEventListener('click', () => {
+            this.exportChapters();
+        });
+        
+        document.getElementById('bookmark-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            
+            const bookmark = this.bookmarks.find(item => item.id === button.closest('.bookmark-item').dataset.id);
+            if (!bookmark) return;
+            
+            switch (button.dataset.action) {
+                case 'jump':
+                    if (this.onJumpCallback) {
+                        this.onJumpCallback(bookmark.time);
+                    }
+                    break;
+                case 'remove':
+                    this.removeBookmark(bookmark);
+                    break;
+            }
+        });
+    }
+    
+    // Follow the room's current video; bookmarks live under rooms/{id}/bookmarks/{videoKey}
+    async setVideo(url) {
+        if (url === this.videoUrl) return;
+        
+        this.videoUrl = url;
+        this.videoKey = null;
+        this.bookmarks = [];
+        
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        this.render();
+        
+        if (!url) return;
+        
+        const { ref, onValue } =
+            await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        const videoKey = await getVideoKey(url);
+        
+        // The video changed again while hashing
+        if (url !== this.videoUrl) return;
+        
+        this.videoKey = videoKey;
+        this.unsubscribe = onValue(ref(this.db, `rooms/${this.roomId}/bookmarks/${videoKey}`), (snapshot) => {
+            const data = snapshot.val();
+            
+            this.bookmarks = data
+                ? Object.entries(data)
+                    .map(([id, bookmark]) => ({ id, ...bookmark }))
+                    .sort((a, b) => a.time - b.time)
+                : [];
+            
+            this.render();
+        });
+    }
+    
+    addFromInput() {
+        const labelInput = document.getElementById('bookmark-label-input');
+        
+        this.addBookmark(labelInput.value.trim()).then((added) => {
+            if (added) {
+                labelInput.value = '';
+            }
+        });
+    }
+    
+    async addBookmark(label) {
+        if (!this.videoKey || !this.videoPlayer.isReady()) {
+            showToast('Load a video before adding bookmarks', 'warning');
+            return false;
+        }
+        
+        if (this.bookmarks.length >= this.maxBookmarks) {
+            showToast(`Too many bookmarks (max ${this.maxBookmarks} per video)`, 'warning');
+            return false;
+        }
+        
+        if (!this.rateLimiter.canMakeCall()) {
+            const waitTime = Math.ceil(this.rateLimiter.getTimeUntilNextCall() / 1000);
+            showToast(`Please wait ${waitTime}s before adding another bookmark`, 'warning');
+            return false;
+        }
+        
+        const { ref, push, serverTimestamp } =
+            await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        const time = Math.floor(this.videoPlayer.getCurrentTime());
+        
+        try {
+            await push(ref(this.db, `rooms/${this.roomId}/bookmarks/${this.videoKey}`), {
+                time,
+                label: (label || `Bookmark at ${formatTime(time)}`).slice(0, 100),
+                addedBy: this.userId,
+                addedByName: this.userName,
+                addedAt: serverTimestamp()
+            });
+            showToast('Bookmark added', 'success', 2000);
+            return true;
+        } catch (error) {
+            console.error('Failed to add bookmark:', error);
+            showToast('Failed to add bookmark', 'error');
+            return false;
+        }
+    }
+    
+    // The host or whoever added it
+    async removeBookmark(bookmark) {
+        if (!this.isHost && bookmark.addedBy !== this.userId) return;
+        
+        const { ref, remove } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        try {
+            await remove(ref(this.db, `rooms/${this.roomId}/bookmarks/${this.videoKey}/${bookmark.id}`));
+        } catch (error) {
+            console.error('Failed to remove bookmark:', error);
+            showToast('Failed to remove bookmark', 'error');
+        }
+    }
+    
+    exportChapters() {
+        if (this.bookmarks.length === 0) {
+            showToast('No bookmarks to export', 'info');
+            return;
+        }
+        
+        const vtt = bookmarksToVtt(this.bookmarks, this.videoPlayer.getDuration());
+        const url = URL.createObjectURL(new Blob([vtt], { type: 'text/vtt' }));
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'chapters.vtt';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        // Some browsers start the download after click() returns
+        setTimeout(() => URL.revokeObjectURL(url));
+    }
+    
+    render() {
+        const bookmarkList = document.getElementById('bookmark-list');
+        
+        document.getElementById('bookmark-count').textContent = this.bookmarks.length;
+        document.getElementById('export-bookmarks-btn').disabled = this.bookmarks.length === 0;
+        this.renderMarkers();
+        
+        if (this.bookmarks.length === 0) {
+            bookmarkList.innerHTML = '<li class="queue-empty">No bookmarks yet</li>';
+            return;
+        }
+        
+        bookmarkList.innerHTML = this.bookmarks.map(bookmark => `
+            <li class="queue-item bookmark-item" data-id="${bookmark.id}">
+                <span class="queue-position">${formatTime(bookmark.time)}</span>
+                <div class="queue-details">
+                    <span class="queue-title">${escapeHtml(bookmark.label)}</span>
+                    <span class="queue-meta">added by ${escapeHtml(bookmark.addedByName)}</span>
+                </div>
+                <div class="queue-actions">
+                    ${this.isHost ? '<button class="chat-action-btn" data-action="jump" title="Jump here">▶</button>' : ''}
+                    ${this.isHost || bookmark.addedBy === this.userId ? '<button class="chat-action-btn" data-action="remove" title="Remove">✕</button>' : ''}
+                </div>
+            </li>
+        `).join('');
+    }
+    
+    // Markers are positioned by duration, which players often only learn after loading
+    renderMarkers() {
+        const markers = document.getElementById('bookmark-markers');
+        const duration = this.videoPlayer.isReady() ? this.videoPlayer.getDuration() : 0;
+        this.markerDuration = duration;
+        
+        if (!duration) {
+            markers.innerHTML = '';
+            return;
+        }
+        
+        markers.innerHTML = this.bookmarks
+            .filter(bookmark => bookmark.time <= duration)
+            .map(bookmark => `
+                <span class="bookmark-marker" style="left: ${(bookmark.time / duration) * 100}%">
+                    <span class="bookmark-marker-label">${formatTime(bookmark.time)} · ${escapeHtml(bookmark.label)}</span>
+                </span>
+            `).join('');
+    }
+    
+    // Called as playback progresses
+    refreshMarkers() {
+        const duration = this.videoPlayer.isReady() ? this.videoPlayer.getDuration() : 0;
+        if (duration !== this.markerDuration) {
+            this.renderMarkers();
+        }
+    }
+    
+    setHost(isHost) {
+        this.isHost = isHost;
+        this.render();
+    }
+    
+    onJump(callback) {
+        this.onJumpCallback = callback;
+    }
+    
+    destroy() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+        }
+        this.onJumpCallback = null;
+    }
+}
@@ -3,17 +3,22 @@ import {
     showToast, 
     escapeHtml, 
     linkifyText, 
+    formatTime,
     formatTimestamp,
     autoResizeTextarea,
     RateLimiter
 } from './app.js';
 
 export class ChatManager {
-    constructor(db, roomId, userId, userName) {
+    constructor(db, roomId, userId, userName, getServerTime = () => Date.now()) {
         this.db = db;
         this.roomId = roomId;
         this.userId = userId;
         this.userName = userName;
+        this.getServerTime = getServerTime;
+        
+        // Our mute at rooms/{id}/moderation/mutes: { name, by, until }, or null
+        this.mute = null;
         
         // Rate limiting (1 message per 800ms)
         this.rateLimiter = new RateLimiter(1, 800);
@@ -26,6 +31,13 @@ export class ChatManager {
         // Message limit per room
         this.maxMessages = 100;
         
+        // Messages currently shown, by id
+        this.messages = {};
+        
+        // Returns { url, time } of the video being watched, or null
+        this.getPosition = null;
+        this.onTimeClickCallback = null;
+        
         this.init();
     }
     
@@ -91,6 +103,19 @@ export class ChatManager {
             });
         }
         
+        // Time chips jump to the moment a message was sent
+        [document.getElementById('chat-messages'), document.getElementById('mobile-chat-messages')].forEach(container => {
+            if (container) {
+                container.addEventListener('click', (e) => {
+                    const chip = e.target.closest('.message-time-chip');
+                    const message = chip && this.messages[chip.dataset.messageId];
+                    if (message && this.onTimeClickCallback) {
+                        this.onTimeClickCallback(message.videoUrl, message.videoTime);
+                    }
+                });
+            }
+        });
+        
         // Clear chat (host only)
         document.getElementById('clear-chat-btn').addEventListener('click', () => {
             this.clearChat();
@@ -125,6 +150,36 @@ export class ChatManager {
             const typingData = snapshot.val();
             this.updateTypingIndicator(typingData);
         });
+        
+        // Host mutes
+        const muteRef = ref(this.db, `rooms/${this.roomId}/moderation/mutes/${this.userId}`);
+        onValue(muteRef, (snapshot) => {
+            const wasMuted = this.isMuted();
+            this.mute = snapshot.val();
+            
+            if (!wasMuted && this.isMuted()) {
+                showToast(`${escapeHtml(this.mute.by)} muted you for ${this.getMuteMinutesLeft()} min`, 'warning');
+                this.stopTyping();
+            } else if (wasMuted && !this.isMuted()) {
+                showToast('You can chat again', 'success');
+            }
+        });
+    }
+    
+    isMuted() {
+        return Boolean(this.mute && this.mute.until > this.getServerTime());
+    }
+    
+    getMuteMinutesLeft() {
+        return Math.ceil((this.mute.until - this.getServerTime()) / 60000);
+    }
+    
+    // Checked before anything goes into the chat; the database rules refuse it anyway
+    checkMuted() {
+        if (!this.isMuted()) return false;
+        
+        showToast(`You are muted for ${this.getMuteMinutesLeft()} more min`, 'warning');
+        return true;
     }
     
     handleInputChange(input) {
@@ -134,6 +189,8 @@ export class ChatManager {
     }
     
     handleTyping() {
+        if (this.isMuted()) return;
+        
         if (!this.isTyping) {
             this.startTyping();
         }
@@ -186,6 +243,8 @@ export class ChatManager {
             return;
         }
         
+        if (this.checkMuted()) return;
+        
         // Check rate limit
         if (!this.rateLimiter.canMakeCall()) {
             const waitTime = Math.ceil(this.rateLimiter.getTimeUntilNextCall() / 1000);
@@ -200,7 +259,8 @@ export class ChatManager {
             userId: this.userId,
             userName: this.userName,
             text: text,
-            timestamp: Date.now()
+            timestamp: Date.now(),
+            ...this.getVideoAnchor()
         };
         
         try {
@@ -212,6 +272,61 @@ export class ChatManager {
         }
     }
     
+    // Video URL and position a message refers to, if anything is playing
+    getVideoAnchor() {
+        const position = this.getPosition ? this.getPosition() : null;
+        if (!position) return {};
+        
+        return {
+            videoUrl: position.url,
+            videoTime: Math.floor(position.time)
+        };
+    }
+    
+    // Room events (votes and the like) shown inline in the chat. Only the host and co-hosts may send
+    // these; the database rules refuse anyone else's
+    sendSystemMessage(text, anchor = null) {
+        return this.sendEventMessage({ system: true }, text, anchor);
+    }
+    
+    // A viewer's own events (starting a vote, asking to seek). Shown after the sender's name and
+    // styled apart from system messages, so nobody can pass one off as a room announcement
+    sendNotice(text, anchor = null) {
+        if (this.checkMuted()) return;
+        return this.sendEventMessage({ notice: true, userName: this.userName }, text, anchor);
+    }
+    
+    async sendEventMessage(kind, text, anchor) {
+        const { ref, push } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        const messagesRef = ref(this.db, `rooms/${this.roomId}/chat`);
+        
+        try {
+            await push(messagesRef, {
+                ...kind,
+                userId: this.userId,
+                text: text,
+                timestamp: Date.now(),
+                ...(anchor && { videoUrl: anchor.url, videoTime: Math.floor(anchor.time) })
+            });
+        } catch (error) {
+            console.error('Failed to send system message:', error);
+        }
+    }
+    
+    // Viewers who can't seek ask the room instead, with a chip whoever can seek may click
+    requestSeek(url, time) {
+        if (this.checkMuted()) return;
+        
+        if (!this.rateLimiter.canMakeCall()) {
+            const waitTime = Math.ceil(this.rateLimiter.getTimeUntilNextCall() / 1000);
+            showToast(`Please wait ${waitTime}s before asking again`, 'warning');
+            return;
+        }
+        
+        this.sendNotice(`asked to jump to ${formatTime(time)}`, { url, time });
+    }
+    
     async clearChat() {
         if (!confirm('Are you sure you want to clear all messages?')) {
             return;
@@ -250,6 +365,8 @@ export class ChatManager {
         const chatMessages = document.getElementById('chat-messages');
         const mobileChatMessages = document.getElementById('mobile-chat-messages');
         
+        this.messages = messagesData || {};
+        
         if (!messagesData) {
             [chatMessages, mobileChatMessages].forEach(container => {
                 if (container) container.innerHTML = '';
@@ -276,6 +393,22 @@ export class ChatManager {
     }
     
     createMessageHTML(message) {
+        if (message.notice) {
+            return `
+                <div class="chat-message notice-message">
+                    <div class="message-text"><span class="message-author">${escapeHtml(message.userName)}</span> ${escapeHtml(message.text)} ${this.createTimeChipHTML(message)}</div>
+                </div>
+            `;
+        }
+        
+        if (message.system) {
+            return `
+                <div class="chat-message system-message">
+                    <div class="message-text">${escapeHtml(message.text)} ${this.createTimeChipHTML(message)}</div>
+                </div>
+            `;
+        }
+        
         const escapedText = escapeHtml(message.text);
         const linkedText = linkifyText(escapedText);
         const timeString = formatTimestamp(message.timestamp);
@@ -287,12 +420,19 @@ export class ChatManager {
                     <span class="message-author">${escapeHtml(message.userName)}</span>
                     ${isHost ? '<span class="host-badge">HOST</span>' : ''}
                     <span class="message-time">${timeString}</span>
+                    ${this.createTimeChipHTML(message)}
                 </div>
                 <div class="message-text">${linkedText}</div>
             </div>
         `;
     }
     
+    createTimeChipHTML(message) {
+        if (typeof message.videoTime !== 'number') return '';
+        
+        return `<button class="message-time-chip" data-message-id="${message.id}" title="Jump to this moment">@ ${formatTime(message.videoTime)}</button>`;
+    }
+    
     updateTypingIndicator(typingData) {
         const typingIndicator = document.getElementById('typing-indicator');
         
@@ -388,6 +528,14 @@ export class ChatManager {
         return null;
     }
     
+    setPositionSource(getPosition) {
+        this.getPosition = getPosition;
+    }
+    
+    onTimeClick(callback) {
+        this.onTimeClickCallback = callback;
+    }
+    
     isScrolledToBottom(element) {
         return element.scrollHeight - element.clientHeight <= element.scrollTop + 1;
     }
@@ -402,5 +550,7 @@ export class ChatManager {
         if (this.typingTimeout) {
             clearTimeout(this.typingTimeout);
         }
+        
+        this.onTimeClickCallback = null;
     }
 }
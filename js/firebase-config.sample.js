@@ -11,6 +11,10 @@ export const firebaseConfig = {
   appId: "your-app-id"
 };
 
+// Optional: sign in anonymously so user ids come from Firebase Auth instead of local storage
+// (enable Anonymous sign-in under Authentication > Sign-in method first)
+export const useAnonymousAuth = false;
+
 // Optional: Firebase Analytics configuration
 // Uncomment if you want to use Firebase Analytics
 // import { getAnalytics } from "firebase/analytics";
@@ -0,0 +1,300 @@
+// Host election through a lease at rooms/{id}/host, claimed and renewed in transactions
+//
+// The lease is { userId, connectionId, name, since, expiresAt, grace }. Whoever holds an unexpired
+// lease is the one host; it renews well before expiry, and anyone may claim it once it lapses (a
+// host whose tab stalls simply stops renewing). Claims race through transactions, so exactly one
+// of several clients claiming at once wins.
+//
+// The lease belongs to one connection (tab) of the host, so the same user in two tabs doesn't make
+// two hosts. When the host's connection drops, the server stamps disconnectedAt and the lease lasts
+// another `grace` ms: long enough for the same user to reload and take it straight back, after
+// which anyone may claim it. A host that loses its connection stops acting as host straight away.
+
+const FIREBASE_DATABASE_URL = 'https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js';
+
+// Tests swap in an in-memory database with the same functions
+let firebaseOverride = null;
+
+export function useFirebase(firebase) {
+    firebaseOverride = firebase;
+}
+
+function loadFirebase() {
+    return firebaseOverride ? Promise.resolve(firebaseOverride) : import(FIREBASE_DATABASE_URL);
+}
+
+// Server time the lease stops counting at
+export function leaseExpiry(lease) {
+    return lease.disconnectedAt
+        ? Math.min(lease.expiresAt, lease.disconnectedAt + (lease.grace || 0))
+        : lease.expiresAt;
+}
+
+export function isLeaseValid(lease, now) {
+    return Boolean(lease && lease.userId && leaseExpiry(lease) > now);
+}
+
+export function ownsLease(lease, holder) {
+    return Boolean(lease) && lease.userId === holder.userId && lease.connectionId === holder.connectionId;
+}
+
+// The same user may take over a lease their other connection can't use: it dropped (a reload),
+// or the lease was handed to the user rather than a connection
+export function mayReclaim(lease, holder) {
+    return Boolean(lease) &&
+        lease.userId === holder.userId &&
+        (lease.connectionId === holder.connectionId || !lease.connectionId || Boolean(lease.disconnectedAt));
+}
+
+// Transaction update: take a free, lapsed or reclaimable lease, or extend our own; undefined aborts
+export function claimLease(current, holder, now, duration, grace) {
+    if (isLeaseValid(current, now) && !mayReclaim(current, holder)) return undefined;
+    
+    return {
+        userId: holder.userId,
+        connectionId: holder.connectionId,
+        name: holder.name,
+        since: current && current.userId === holder.userId && current.since ? current.since : now,
+        expiresAt: now + duration,
+        grace
+    };
+}
+
+// Transaction update: hand our lease to another user, whichever of their connections claims it
+export function transferLease(current, holder, to, now, duration, grace) {
+    if (!isLeaseValid(current, now) || !ownsLease(current, holder)) return undefined;
+    
+    return {
+        userId: to.userId,
+        connectionId: null,
+        name: to.name,
+        since: now,
+        expiresAt: now + duration,
+        grace,
+        transferredFrom: holder.userId,
+        transferredFromName: holder.name
+    };
+}
+
+// Transaction update: give up the lease only if it is still ours
+export function releaseLease(current, holder) {
+    if (!ownsLease(current, holder)) return undefined;
+    return null;
+}
+
+export class HostLeaseManager {
+    constructor(db, roomId, userId, connectionId, userName, getServerTime, options = {}) {
+        this.db = db;
+        this.roomId = roomId;
+        this.userId = userId;
+        this.connectionId = connectionId;
+        this.name = userName;
+        this.getServerTime = getServerTime;
+        
+        // Lease length, how often the host renews it, and how long a dropped host has to come back (ms)
+        this.leaseDuration = options.leaseDuration || 15000;
+        this.renewInterval = options.renewInterval || this.leaseDuration / 3;
+        this.reconnectGrace = options.reconnectGrace || 5000;
+        
+        // Latest lease seen, the user it names (null while nobody holds one) and whether it's this connection's
+        this.lease = null;
+        this.hostId = null;
+        this.holding = false;
+        this.connected = false;
+        
+        this.renewTimer = null;
+        this.expiryTimer = null;
+        this.unsubscribes = [];
+        this.claiming = false;
+        this.handingOver = false;
+        this.stopped = false;
+        
+        this.onHostChangeCallback = null;
+    }
+    
+    async start() {
+        const { ref, onValue } = await loadFirebase();
+        if (this.stopped) return;
+        
+        this.unsubscribes.push(onValue(ref(this.db, '.info/connected'), (snapshot) => {
+            this.connected = snapshot.val() === true;
+            
+            // The lease may have moved on while we were gone; find out by claiming afresh
+            this.handleLease(this.connected ? this.lease : null);
+        }));
+        
+        this.unsubscribes.push(onValue(ref(this.db, `rooms/${this.roomId}/host`), (snapshot) => {
+            this.handleLease(snapshot.val());
+        }));
+    }
+    
+    handleLease(lease) {
+        this.lease = lease;
+        clearTimeout(this.expiryTimer);
+        
+        // Offline we can't tell who holds the lease, and mustn't act as host meanwhile
+        if (!this.connected) {
+            this.setHost(null, false);
+            return;
+        }
+        
+        const now = this.getServerTime();
+        const valid = isLeaseValid(lease, now);
+        const owned = valid && ownsLease(lease, this);
+        
+        // While handing over we already count as stepped down
+        if (this.handingOver && owned) {
+            this.setHost(null, false);
+            return;
+        }
+        this.setHost(valid ? lease.userId : null, owned);
+        
+        if (!valid || (!owned && mayReclaim(lease, this))) {
+            this.claim();
+        } else {
+            // Nothing changes in the database when a lease lapses (or our renewals stop getting through),
+            // so check again once it should have
+            this.expiryTimer = setTimeout(() => {
+                this.handleLease(this.lease);
+            }, leaseExpiry(lease) - now + 50);
+        }
+    }
+    
+    async claim() {
+        if (this.claiming || this.handingOver || this.stopped || !this.connected) return;
+        this.claiming = true;
+        
+        const { ref, runTransaction } = await loadFirebase();
+        
+        // The listener hears about the new lease before the transaction resolves
+        try {
+            await runTransaction(ref(this.db, `rooms/${this.roomId}/host`), (current) => {
+                return claimLease(current, this, this.getServerTime(), this.leaseDuration, this.reconnectGrace);
+            });
+        } catch (error) {
+            console.error('Failed to claim host:', error);
+        } finally {
+            this.claiming = false;
+        }
+    }
+    
+    async renew() {
+        if (this.stopped) return;
+        
+        const { ref, runTransaction } = await loadFirebase();
+        
+        try {
+            await runTransaction(ref(this.db, `rooms/${this.roomId}/host`), (current) => {
+                // Someone else took over while we were away; don't take it back
+                if (!ownsLease(current, this)) return undefined;
+                return claimLease(current, this, this.getServerTime(), this.leaseDuration, this.reconnectGrace);
+            });
+        } catch (error) {
+            console.error('Failed to renew host lease:', error);
+        }
+    }
+    
+    setHost(hostId, holding) {
+        if (hostId === this.hostId && holding === this.holding) return;
+        
+        const wasHolding = this.holding;
+        this.hostId = hostId;
+        this.holding = holding;
+        
+        if (holding && !wasHolding) {
+            this.startRenewing();
+        } else if (wasHolding && !holding) {
+            this.stopRenewing();
+        }
+        
+        if (this.onHostChangeCallback) {
+            this.onHostChangeCallback(hostId, holding, this.lease);
+        }
+    }
+    
+    async startRenewing() {
+        this.renewTimer = setInterval(() => this.renew(), this.renewInterval);
+        
+        // If we drop, the server starts the grace period for coming back
+        const { ref, onDisconnect, serverTimestamp } = await loadFirebase();
+        onDisconnect(ref(this.db, `rooms/${this.roomId}/host`)).update({
+            disconnectedAt: serverTimestamp()
+        }).catch((error) => {
+            console.error('Failed to set up host handoff:', error);
+        });
+    }
+    
+    async stopRenewing() {
+        clearInterval(this.renewTimer);
+        this.renewTimer = null;
+        
+        // The lease is someone else's now; leaving must not touch it
+        const { ref, onDisconnect } = await loadFirebase();
+        await onDisconnect(ref(this.db, `rooms/${this.roomId}/host`)).cancel().catch(() => {});
+    }
+    
+    // Make another user the host; resolves to whether the lease was still ours to give
+    async transferTo(userId, name) {
+        const { ref, runTransaction } = await loadFirebase();
+        
+        // Step down first, so there's no moment where the new host has heard and we haven't
+        this.handingOver = true;
+        this.setHost(null, false);
+        
+        try {
+            const result = await runTransaction(ref(this.db, `rooms/${this.roomId}/host`), (current) => {
+                return transferLease(
+                    current, this, { userId, name }, this.getServerTime(), this.leaseDuration, this.reconnectGrace
+                );
+            });
+            return result.committed;
+        } finally {
+            this.handingOver = false;
+            this.handleLease(this.lease);
+        }
+    }
+    
+    // Hand the lease back so the next host doesn't have to wait for it to lapse
+    async release() {
+        const { ref, runTransaction } = await loadFirebase();
+        
+        try {
+            await runTransaction(ref(this.db, `rooms/${this.roomId}/host`), (current) => {
+                return releaseLease(current, this);
+            });
+        } catch (error) {
+            console.error('Failed to release host lease:', error);
+        }
+    }
+    
+    // Host only while our lease is unexpired, even if its renewal hasn't come back yet
+    isHost() {
+        return this.connected && this.holding && isLeaseValid(this.lease, this.getServerTime());
+    }
+    
+    getHostId() {
+        return this.hostId;
+    }
+    
+    onHostChange(callback) {
+        this.onHostChangeCallback = callback;
+    }
+    
+    async destroy() {
+        const wasHost = this.holding;
+        
+        this.stopped = true;
+        this.hostId = null;
+        this.holding = false;
+        clearInterval(this.renewTimer);
+        clearTimeout(this.expiryTimer);
+        
+        this.unsubscribes.forEach(unsubscribe => unsubscribe());
+        this.onHostChangeCallback = null;
+        
+        if (wasHost) {
+            await this.stopRenewing();
+            await this.release();
+        }
+    }
+}
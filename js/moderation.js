@@ -0,0 +1,196 @@
+// Host moderation: kicking, banning and chat-muting viewers
+//
+// Everything lives under rooms/{id}/moderation, keyed by user id so it follows people across
+// reloads and tabs:
+//   kicks/{userId}  { by, at }          sends every tab of the user away; they may come back
+//   bans/{userId}   { name, by, at }    keeps the user out for as long as the room exists
+//   mutes/{userId}  { name, by, until } no chat until the server clock passes `until`
+// PresenceManager refuses to join banned users and ChatManager refuses to send for muted ones;
+// database.rules.json enforces the same when the app runs with anonymous auth, and stops banned
+// users reading anything in the room but their own ban.
+import { showToast } from './app.js';
+
+export class ModerationManager {
+    constructor(db, roomId, userId, userName, getServerTime) {
+        this.db = db;
+        this.roomId = roomId;
+        this.userId = userId;
+        this.userName = userName;
+        this.getServerTime = getServerTime;
+        
+        this.bans = {};
+        this.mutes = {};
+        
+        // Our kick entry as first loaded; an older kick doesn't send us away again
+        this.lastKick = undefined;
+        this.removed = false;
+        
+        this.unsubscribe = null;
+        this.onChangeCallback = null;
+        this.onRemovedCallback = null;
+        
+        this.init();
+    }
+    
+    init() {
+        this.setupFirebaseListeners();
+    }
+    
+    async setupFirebaseListeners() {
+        const { ref, onValue } =
+            await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        // A ban takes away our read access, which cancels the listener before it hears of the ban
+        const moderationRef = ref(this.db, `rooms/${this.roomId}/moderation`);
+        this.unsubscribe = onValue(moderationRef, (snapshot) => {
+            this.handleModeration(snapshot.val() || {});
+        }, () => {
+            this.checkOwnBan();
+        });
+    }
+    
+    async checkOwnBan() {
+        const { ref, get } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        try {
+            const ban = (await get(ref(this.db, `rooms/${this.roomId}/moderation/bans/${this.userId}`))).val();
+            if (ban) {
+                this.bans = { ...this.bans, [this.userId]: ban };
+                this.emitRemoved('banned', ban.by);
+            }
+        } catch (error) {
+            console.error('Failed to check ban:', error);
+        }
+    }
+    
+    handleModeration(moderation) {
+        this.bans = moderation.bans || {};
+        this.mutes = moderation.mutes || {};
+        
+        const kick = (moderation.kicks || {})[this.userId] || null;
+        const isNewKick = this.lastKick !== undefined && kick && (!this.lastKick || kick.at !== this.lastKick.at);
+        this.lastKick = kick;
+        
+        if (this.isBanned()) {
+            this.emitRemoved('banned', this.bans[this.userId].by);
+        } else if (isNewKick) {
+            this.emitRemoved('kicked', kick.by);
+        }
+        
+        if (this.onChangeCallback) {
+            this.onChangeCallback();
+        }
+    }
+    
+    emitRemoved(reason, by) {
+        if (this.removed) return;
+        this.removed = true;
+        
+        if (this.onRemovedCallback) {
+            this.onRemovedCallback(reason, by);
+        }
+    }
+    
+    isBanned(userId = this.userId) {
+        return Boolean(this.bans[userId]);
+    }
+    
+    // Server time the user's mute ends, or 0 if they may chat
+    getMutedUntil(userId = this.userId) {
+        const mute = this.mutes[userId];
+        return mute && mute.until > this.getServerTime() ? mute.until : 0;
+    }
+    
+    // Banned users as [{ userId, name }] for the host's list
+    getBannedUsers() {
+        return Object.entries(this.bans).map(([userId, ban]) => ({ userId, name: ban.name }));
+    }
+    
+    // Each action resolves to whether it was saved
+    async kick(userId) {
+        const { ref, update, serverTimestamp } =
+            await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        try {
+            await update(ref(this.db, `rooms/${this.roomId}`), {
+                [`moderation/kicks/${userId}`]: { by: this.userName, at: serverTimestamp() },
+                [`presence/${userId}`]: null
+            });
+            return true;
+        } catch (error) {
+            console.error('Failed to kick viewer:', error);
+            showToast('Failed to kick viewer', 'error');
+            return false;
+        }
+    }
+    
+    async ban(userId, name) {
+        const { ref, update, serverTimestamp } =
+            await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        // Roles go with them, so coming back unbanned starts from scratch
+        try {
+            await update(ref(this.db, `rooms/${this.roomId}`), {
+                [`moderation/bans/${userId}`]: { name, by: this.userName, at: serverTimestamp() },
+                [`moderation/mutes/${userId}`]: null,
+                [`presence/${userId}`]: null,
+                [`settings/cohosts/${userId}`]: null,
+                [`settings/controllers/${userId}`]: null
+            });
+            return true;
+        } catch (error) {
+            console.error('Failed to ban viewer:', error);
+            showToast('Failed to ban viewer', 'error');
+            return false;
+        }
+    }
+    
+    async unban(userId) {
+        const { ref, remove } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        try {
+            await remove(ref(this.db, `rooms/${this.roomId}/moderation/bans/${userId}`));
+            return true;
+        } catch (error) {
+            console.error('Failed to unban viewer:', error);
+            showToast('Failed to unban viewer', 'error');
+            return false;
+        }
+    }
+    
+    // duration in ms; null lifts the mute
+    async mute(userId, name, duration) {
+        const { ref, set } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        try {
+            await set(ref(this.db, `rooms/${this.roomId}/moderation/mutes/${userId}`), duration ? {
+                name,
+                by: this.userName,
+                until: this.getServerTime() + duration
+            } : null);
+            return true;
+        } catch (error) {
+            console.error('Failed to mute viewer:', error);
+            showToast('Failed to mute viewer', 'error');
+            return false;
+        }
+    }
+    
+    // Called whenever bans or mutes change
+    onChange(callback) {
+        this.onChangeCallback = callback;
+    }
+    
+    // Called with ('kicked' | 'banned', byName) when the host removes us
+    onRemoved(callback) {
+        this.onRemovedCallback = callback;
+    }
+    
+    destroy() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+        }
+        this.onChangeCallback = null;
+        this.onRemovedCallback = null;
+    }
+}
@@ -0,0 +1,242 @@
+// WebRTC streaming from the host to viewers, signaled through rooms/{id}/signal
+//
+// Each viewer that wants the stream creates rooms/{id}/signal/{viewerId}; the host answers with
+// an offer there, the viewer replies with an answer and both sides trickle ICE candidates.
+// Offers, answers and candidates carry the id of the broadcast they belong to: when the host
+// broadcasts again, viewers drop their connection and ask afresh instead of mixing the two.
+import { showToast } from './app.js';
+
+// STUN only: enough for tabs on one machine and most home networks, no TURN relay
+const ICE_CONFIG = {
+    iceServers: [{ urls: 'stun:stun.l.google.com:19302' }]
+};
+
+export class PeerStreamManager {
+    constructor(db, roomId, userId) {
+        this.db = db;
+        this.roomId = roomId;
+        this.userId = userId;
+        
+        // Host side: stream being sent and a connection per viewer
+        this.localStream = null;
+        this.broadcastId = null;
+        this.peers = new Map();
+        this.signalUnsubscribes = [];
+        
+        // Viewer side: connection to the host, and how to give up on it while it's connecting
+        this.viewerPeer = null;
+        this.viewerUnsubscribes = [];
+        this.cancelJoin = null;
+        
+        this.onRestartCallback = null;
+        
+        // Give up on a connection that hasn't produced media by then
+        this.connectTimeout = 15000;
+    }
+    
+    async startBroadcast(stream) {
+        this.stopBroadcast();
+        
+        const { ref, onChildAdded, onChildRemoved } =
+            await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        this.localStream = stream;
+        this.broadcastId = `broadcast_${Date.now().toString(36)}`;
+        const signalRef = ref(this.db, `rooms/${this.roomId}/signal`);
+        
+        this.signalUnsubscribes = [
+            onChildAdded(signalRef, (snapshot) => {
+                this.connectViewer(snapshot.key);
+            }),
+            onChildRemoved(signalRef, (snapshot) => {
+                this.closePeer(snapshot.key);
+            })
+        ];
+    }
+    
+    // Viewers remove their own requests when they leave or move on
+    stopBroadcast() {
+        if (!this.localStream) return;
+        
+        this.signalUnsubscribes.forEach(unsubscribe => unsubscribe());
+        this.signalUnsubscribes = [];
+        this.peers.forEach((peer, viewerId) => this.closePeer(viewerId));
+        this.localStream = null;
+    }
+    
+    async connectViewer(viewerId) {
+        if (!this.localStream || this.peers.has(viewerId) || viewerId === this.userId) return;
+        
+        const { ref, set, push, onValue, onChildAdded } =
+            await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        const viewerPath = `rooms/${this.roomId}/signal/${viewerId}`;
+        const broadcastId = this.broadcastId;
+        const pc = new RTCPeerConnection(ICE_CONFIG);
+        const peer = { pc, unsubscribes: [] };
+        this.peers.set(viewerId, peer);
+        
+        this.localStream.getTracks().forEach(track => {
+            pc.addTrack(track, this.localStream);
+        });
+        
+        pc.onicecandidate = (event) => {
+            if (event.candidate) {
+                push(ref(this.db, `${viewerPath}/hostCandidates/${broadcastId}`), event.candidate.toJSON()).catch((error) => {
+                    console.error('Failed to send ICE candidate:', error);
+                });
+            }
+        };
+        
+        try {
+            const offer = await pc.createOffer();
+            await pc.setLocalDescription(offer);
+            
+            // The viewer re-requested (or left) while the offer was being made
+            if (this.peers.get(viewerId) !== peer) return;
+            
+            await set(ref(this.db, `${viewerPath}/offer`), { type: offer.type, sdp: offer.sdp, broadcastId });
+        } catch (error) {
+            console.error('Failed to offer stream:', error);
+            this.closePeer(viewerId);
+            return;
+        }
+        
+        peer.unsubscribes.push(
+            onValue(ref(this.db, `${viewerPath}/answer`), (snapshot) => {
+                // An answer to an earlier broadcast's offer is no use to this connection
+                const answer = snapshot.val();
+                if (answer && answer.broadcastId === broadcastId && !pc.currentRemoteDescription) {
+                    pc.setRemoteDescription({ type: answer.type, sdp: answer.sdp }).catch((error) => {
+                        console.error('Failed to accept stream answer:', error);
+                    });
+                }
+            }),
+            onChildAdded(ref(this.db, `${viewerPath}/viewerCandidates/${broadcastId}`), (snapshot) => {
+                pc.addIceCandidate(snapshot.val()).catch(() => {});
+            })
+        );
+    }
+    
+    closePeer(viewerId) {
+        const peer = this.peers.get(viewerId);
+        if (!peer) return;
+        
+        peer.unsubscribes.forEach(unsubscribe => unsubscribe());
+        peer.pc.close();
+        this.peers.delete(viewerId);
+    }
+    
+    // Ask the host for its stream and resolve with it once media arrives
+    async joinStream() {
+        await this.leaveStream();
+        
+        const { ref, set, push, remove, onValue, onChildAdded, onDisconnect, serverTimestamp } =
+            await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        const signalRef = ref(this.db, `rooms/${this.roomId}/signal/${this.userId}`);
+        const pc = new RTCPeerConnection(ICE_CONFIG);
+        this.viewerPeer = pc;
+        
+        const stream = new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                reject(new Error('Timed out waiting for the host\'s stream'));
+            }, this.connectTimeout);
+            
+            pc.ontrack = (event) => {
+                clearTimeout(timeout);
+                this.cancelJoin = null;
+                resolve(event.streams[0]);
+            };
+            
+            this.cancelJoin = () => {
+                clearTimeout(timeout);
+                reject(new Error('Left the host\'s stream before it arrived'));
+            };
+        });
+        
+        // Broadcast whose offer we answered
+        let broadcastId = null;
+        
+        pc.onicecandidate = (event) => {
+            if (event.candidate && broadcastId) {
+                push(ref(this.db, `rooms/${this.roomId}/signal/${this.userId}/viewerCandidates/${broadcastId}`), event.candidate.toJSON()).catch((error) => {
+                    console.error('Failed to send ICE candidate:', error);
+                });
+            }
+        };
+        
+        // A fresh request each time, so the host starts a new connection for it
+        await remove(signalRef);
+        await onDisconnect(signalRef).remove();
+        await set(signalRef, { requestedAt: serverTimestamp() });
+        
+        this.viewerUnsubscribes.push(
+            onValue(ref(this.db, `rooms/${this.roomId}/signal/${this.userId}/offer`), async (snapshot) => {
+                const offer = snapshot.val();
+                if (!offer) return;
+                
+                // The host broadcast again: this connection is dead, so the room asks afresh
+                if (broadcastId) {
+                    if (offer.broadcastId !== broadcastId && this.viewerPeer === pc && this.onRestartCallback) {
+                        broadcastId = offer.broadcastId;
+                        this.onRestartCallback();
+                    }
+                    return;
+                }
+                broadcastId = offer.broadcastId;
+                
+                try {
+                    await pc.setRemoteDescription({ type: offer.type, sdp: offer.sdp });
+                    const answer = await pc.createAnswer();
+                    await pc.setLocalDescription(answer);
+                    await set(ref(this.db, `rooms/${this.roomId}/signal/${this.userId}/answer`), {
+                        type: answer.type,
+                        sdp: answer.sdp,
+                        broadcastId
+                    });
+                } catch (error) {
+                    console.error('Failed to answer stream offer:', error);
+                    showToast('Failed to connect to the host\'s stream', 'error');
+                }
+                
+                // Host candidates only apply once the offer is in
+                this.viewerUnsubscribes.push(
+                    onChildAdded(ref(this.db, `rooms/${this.roomId}/signal/${this.userId}/hostCandidates/${broadcastId}`), (candidate) => {
+                        pc.addIceCandidate(candidate.val()).catch(() => {});
+                    })
+                );
+            })
+        );
+        
+        return stream;
+    }
+    
+    async leaveStream() {
+        if (!this.viewerPeer) return;
+        
+        this.viewerUnsubscribes.forEach(unsubscribe => unsubscribe());
+        this.viewerUnsubscribes = [];
+        this.viewerPeer.close();
+        this.viewerPeer = null;
+        
+        if (this.cancelJoin) {
+            this.cancelJoin();
+            this.cancelJoin = null;
+        }
+        
+        const { ref, remove } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        remove(ref(this.db, `rooms/${this.roomId}/signal/${this.userId}`)).catch(() => {});
+    }
+    
+    // Called on a viewer when the host starts a new broadcast and the stream has to be joined again
+    onRestart(callback) {
+        this.onRestartCallback = callback;
+    }
+    
+    destroy() {
+        this.stopBroadcast();
+        this.leaveStream();
+        this.onRestartCallback = null;
+    }
+}
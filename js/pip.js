@@ -0,0 +1,135 @@
+// Picture-in-picture and the docked mini-player
+//
+// Players built on a <video> element use the browser's own picture-in-picture. Embedded
+// (iframe) players can't, so where the Document Picture-in-Picture API exists the whole player
+// moves into a small always-on-top window instead. Moving an iframe reloads it, so the room
+// rebuilds the player after every move.
+import { showToast } from './app.js';
+
+export class PictureInPictureManager {
+    constructor(videoPlayer) {
+        this.videoPlayer = videoPlayer;
+        
+        // Document picture-in-picture window holding the player, if open
+        this.pipWindow = null;
+        
+        // Player floated over the page while the mobile chat covers it
+        this.docked = false;
+        
+        this.onMoveCallback = null;
+        
+        this.init();
+    }
+    
+    init() {
+        this.setupEventListeners();
+    }
+    
+    setupEventListeners() {
+        document.getElementById('pip-btn').addEventListener('click', () => {
+            this.toggle();
+        });
+        
+        document.getElementById('mini-player-close').addEventListener('click', () => {
+            this.setDocked(false);
+        });
+    }
+    
+    isSupported() {
+        return this.videoPlayer.canPictureInPicture() || 'documentPictureInPicture' in window;
+    }
+    
+    async toggle() {
+        if (this.pipWindow) {
+            this.pipWindow.close();
+            return;
+        }
+        
+        try {
+            if (this.videoPlayer.canPictureInPicture()) {
+                await this.videoPlayer.togglePictureInPicture();
+            } else if ('documentPictureInPicture' in window) {
+                await this.openWindow();
+            } else {
+                showToast('Picture-in-picture is not supported for this video in your browser', 'warning');
+            }
+        } catch (error) {
+            console.error('Failed to toggle picture-in-picture:', error);
+            showToast('Failed to open picture-in-picture', 'error');
+        }
+    }
+    
+    async openWindow() {
+        const player = this.videoPlayer.container;
+        const pipWindow = await documentPictureInPicture.requestWindow({
+            width: player.clientWidth,
+            height: player.clientHeight
+        });
+        
+        // Same styles and theme as the page
+        document.querySelectorAll('link[rel="stylesheet"], style').forEach(node => {
+            pipWindow.document.head.appendChild(node.cloneNode(true));
+        });
+        pipWindow.document.documentElement.setAttribute('data-theme', document.documentElement.getAttribute('data-theme'));
+        pipWindow.document.body.classList.add('pip-window');
+        
+        // Embedded players talk to the window that loaded their API script; pass their messages on
+        pipWindow.addEventListener('message', (event) => {
+            window.dispatchEvent(new MessageEvent('message', {
+                data: event.data,
+                origin: event.origin,
+                source: event.source
+            }));
+        });
+        
+        const placeholder = document.createElement('div');
+        placeholder.className = 'pip-placeholder';
+        placeholder.textContent = 'Playing in picture-in-picture';
+        player.replaceWith(placeholder);
+        pipWindow.document.body.appendChild(player);
+        
+        this.pipWindow = pipWindow;
+        document.getElementById('pip-btn').classList.add('active');
+        this.emitMove();
+        
+        // Closing the window puts the player back
+        pipWindow.addEventListener('pagehide', () => {
+            placeholder.replaceWith(player);
+            this.pipWindow = null;
+            document.getElementById('pip-btn').classList.remove('active');
+            this.emitMove();
+        });
+    }
+    
+    emitMove() {
+        if (this.onMoveCallback) {
+            this.onMoveCallback();
+        }
+    }
+    
+    // Float the player in a corner; it's the same player, so it keeps following the room
+    setDocked(docked) {
+        if (docked === this.docked) return;
+        this.docked = docked;
+        
+        const container = document.querySelector('.video-container');
+        const slot = document.getElementById('mini-player-slot');
+        
+        // Hold the player's place so the page doesn't jump
+        slot.style.height = docked ? `${container.offsetHeight}px` : '';
+        slot.classList.toggle('hidden', !docked);
+        container.classList.toggle('mini-player', docked);
+    }
+    
+    // Called after the player moves between the page and the picture-in-picture window
+    onMove(callback) {
+        this.onMoveCallback = callback;
+    }
+    
+    destroy() {
+        if (this.pipWindow) {
+            this.pipWindow.close();
+        }
+        this.onMoveCallback = null;
+    }
+}
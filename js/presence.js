@@ -1,36 +1,83 @@
-// User presence and host management
+// User presence; the host itself is elected through the lease in hostlease.js
 export class PresenceManager {
-    constructor(db, roomId, userId, userName) {
+    constructor(db, roomId, userId, connectionId, userName, getServerTime) {
         this.db = db;
         this.roomId = roomId;
         this.userId = userId;
         this.userName = userName;
+        this.getServerTime = getServerTime;
+        
+        // Each tab is a connection under the user's entry, so the same user in two tabs shows once.
+        // Buffering, ready and local file state belong to the tab and live under its connection.
+        this.connectionId = connectionId;
         
         this.users = new Map();
+        
+        // Entries not seen for this long are gone (ms)
+        this.presenceTimeout = 60000;
+        
+        // How long someone may be away (a reload) before they count as having left (ms)
+        this.rejoinGrace = 5000;
+        this.leftAt = new Map();
         this.hostId = null;
-        this.onHostChangeCallback = null;
+        
+        // Co-hosts picked by the host: userId -> name
+        this.cohosts = {};
+        this.onUsersChangeCallback = null;
+        
+        // Whether our player is waiting for data, shared for "wait for everyone" mode
+        this.buffering = false;
+        
+        // Id of the ready check we answered
+        this.readyFor = null;
+        
+        // Fingerprint of the local file we're playing, compared against the host's
+        this.localFile = null;
         
         // Heartbeat interval
         this.heartbeatInterval = null;
     }
     
+    // Resolves to whether we joined (banned users don't)
     async connect() {
-        const { ref, set, onDisconnect, onValue, serverTimestamp } = 
+        const { ref, get, update, onDisconnect, onValue, serverTimestamp } = 
             await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
         
         // Set up presence
         const presenceRef = ref(this.db, `rooms/${this.roomId}/presence/${this.userId}`);
-        const userData = {
-            name: this.userName,
-            joinedAt: Date.now(),
-            lastSeen: serverTimestamp()
-        };
+        const connectionRef = ref(this.db, `rooms/${this.roomId}/presence/${this.userId}/connections/${this.connectionId}`);
+        
+        // Banned users stay out of the room (the database rules refuse their presence too)
+        const banRef = ref(this.db, `rooms/${this.roomId}/moderation/bans/${this.userId}`);
+        if ((await get(banRef)).exists()) {
+            return false;
+        }
+        
+        // Coming back after a reload (or joining from another tab) keeps our place
+        let joinedAt = this.getServerTime();
+        try {
+            const previous = (await get(presenceRef)).val();
+            if (previous && previous.joinedAt && this.getServerTime() - (previous.lastSeen || 0) < this.presenceTimeout) {
+                joinedAt = previous.joinedAt;
+            }
+        } catch (error) {
+            console.error('Failed to load previous presence:', error);
+        }
         
         // Set user as online
-        await set(presenceRef, userData);
+        await update(presenceRef, {
+            name: this.userName,
+            joinedAt,
+            lastSeen: serverTimestamp(),
+            [`connections/${this.connectionId}`]: {
+                buffering: this.buffering,
+                readyFor: this.readyFor,
+                localFile: this.localFile
+            }
+        });
         
-        // Remove user when disconnected
-        await onDisconnect(presenceRef).remove();
+        // Only this tab goes when it disconnects; the entry stays for our other tabs
+        await onDisconnect(connectionRef).remove();
         
         // Listen for presence changes
         const allPresenceRef = ref(this.db, `rooms/${this.roomId}/presence`);
@@ -43,6 +90,7 @@ export class PresenceManager {
         
         // Show join toast
         this.showJoinToast();
+        return true;
     }
     
     async startHeartbeat() {
@@ -70,67 +118,101 @@ export class PresenceManager {
             return;
         }
         
-        const now = Date.now();
-        const timeoutMs = 60000; // 1 minute timeout
+        // lastSeen is a server timestamp
+        const now = this.getServerTime();
         
         // Filter out stale presence data
         Object.entries(presenceData).forEach(([userId, userData]) => {
-            if (!userData) return;
+            // Users whose tabs have all closed
+            if (!userData || !userData.connections) return;
             
             const lastSeen = userData.lastSeen || userData.joinedAt || now;
             const timeSinceLastSeen = now - lastSeen;
             
             // Only include users seen recently
-            if (timeSinceLastSeen < timeoutMs) {
+            if (timeSinceLastSeen < this.presenceTimeout) {
                 this.users.set(userId, {
                     ...userData,
+                    ...this.combineConnections(userData.connections),
+                    userId,
                     isOnline: timeSinceLastSeen < 35000 // 35 seconds
                 });
             }
         });
         
-        // Determine host
-        this.updateHost();
-        
         // Show join/leave toasts
         this.showPresenceChanges(previousUsers);
         
         // Update UI
         this.updateUI();
+        
+        if (this.onUsersChangeCallback) {
+            this.onUsersChangeCallback(this.users);
+        }
     }
     
-    updateHost() {
-        const onlineUsers = Array.from(this.users.entries())
-            .filter(([, userData]) => userData.isOnline)
-            .sort(([, a], [, b]) => a.joinedAt - b.joinedAt);
+    // One user across their tabs: buffering if any tab is, ready if any tab answered, and every
+    // local file their tabs are playing
+    combineConnections(connections) {
+        const tabs = Object.values(connections).filter(tab => tab && typeof tab === 'object');
+        
+        return {
+            buffering: tabs.some(tab => tab.buffering),
+            readyFor: (tabs.find(tab => tab.readyFor) || {}).readyFor || null,
+            localFiles: tabs.map(tab => tab.localFile).filter(Boolean)
+        };
+    }
+    
+    // Host as elected by the room's lease, for the avatar badge
+    setHostId(hostId) {
+        this.hostId = hostId;
+        this.updateUserAvatars();
+    }
+    
+    setCoHosts(cohosts) {
+        this.cohosts = cohosts || {};
+        this.updateUserAvatars();
+    }
+    
+    async setBuffering(buffering) {
+        if (buffering === this.buffering) return;
+        this.buffering = buffering;
         
-        const newHostId = onlineUsers.length > 0 ? onlineUsers[0][0] : null;
+        const { ref, update } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
         
-        if (newHostId !== this.hostId) {
-            const previousHostId = this.hostId;
-            this.hostId = newHostId;
-            
-            // Update room state with new host
-            this.updateRoomHost(newHostId);
-            
-            // Notify about host change
-            if (this.onHostChangeCallback) {
-                this.onHostChangeCallback(newHostId, previousHostId);
-            }
+        const connectionRef = ref(this.db, `rooms/${this.roomId}/presence/${this.userId}/connections/${this.connectionId}`);
+        try {
+            await update(connectionRef, { buffering });
+        } catch (error) {
+            console.error('Failed to update buffering status:', error);
         }
     }
     
-    async updateRoomHost(newHostId) {
+    async setReady(checkId) {
+        if (checkId === this.readyFor) return;
+        this.readyFor = checkId;
+        
         const { ref, update } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
         
-        const roomStateRef = ref(this.db, `rooms/${this.roomId}/state`);
+        const connectionRef = ref(this.db, `rooms/${this.roomId}/presence/${this.userId}/connections/${this.connectionId}`);
         try {
-            await update(roomStateRef, {
-                hostId: newHostId,
-                updatedAt: Date.now()
-            });
+            await update(connectionRef, { readyFor: checkId });
         } catch (error) {
-            console.error('Failed to update room host:', error);
+            console.error('Failed to update ready status:', error);
+        }
+    }
+    
+    async setLocalFile(fingerprint) {
+        if (JSON.stringify(fingerprint) === JSON.stringify(this.localFile)) return;
+        this.localFile = fingerprint;
+        
+        const { ref, update } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        const connectionRef = ref(this.db, `rooms/${this.roomId}/presence/${this.userId}/connections/${this.connectionId}`);
+        try {
+            await update(connectionRef, { localFile: fingerprint });
+        } catch (error) {
+            console.error('Failed to update local file fingerprint:', error);
         }
     }
     
@@ -143,19 +225,33 @@ export class PresenceManager {
     
     handlePresenceChanges(previousUsers, showToast) {
         
-        // Find new joins
+        // Find new joins (someone back from a reload never really left)
         this.users.forEach((userData, userId) => {
             if (!previousUsers.has(userId) && userId !== this.userId) {
-                showToast(`${userData.name} joined the room`, 'success', 2000);
+                if (!this.leftAt.delete(userId)) {
+                    showToast(`${userData.name} joined the room`, 'success', 2000);
+                }
             }
         });
         
-        // Find leaves
+        // Find leaves, announced only if they stay gone
         previousUsers.forEach((userData, userId) => {
             if (!this.users.has(userId) && userId !== this.userId) {
-                showToast(`${userData.name} left the room`, 'warning', 2000);
+                this.leftAt.set(userId, Date.now());
+                setTimeout(() => {
+                    if (this.leftAt.has(userId) && !this.users.has(userId)) {
+                        this.leftAt.delete(userId);
+                        showToast(`${userData.name} left the room`, 'warning', 2000);
+                    }
+                }, this.rejoinGrace);
             }
         });
+        
+        // Same user, another tab
+        const countTabs = (users) => Object.keys((users.get(this.userId) || {}).connections || {}).length;
+        if (countTabs(this.users) > 1 && countTabs(this.users) > countTabs(previousUsers)) {
+            showToast('This room is also open in another tab', 'info');
+        }
     }
     
     showJoinToast() {
@@ -205,12 +301,13 @@ export class PresenceManager {
         avatarsContainer.innerHTML = onlineUsers.map(([userId, userData]) => {
             const initials = this.getInitials(userData.name);
             const isHost = userId === this.hostId;
+            const isCoHost = !isHost && Boolean(this.cohosts[userId]);
             const backgroundColor = this.getUserColor(userId);
             
             return `
-                <div class="user-avatar ${isHost ? 'host' : ''}" 
+                <div class="user-avatar ${isHost ? 'host' : ''} ${isCoHost ? 'cohost' : ''} ${userData.buffering ? 'buffering' : ''}" 
                      style="background-color: ${backgroundColor}" 
-                     title="${userData.name}${isHost ? ' (Host)' : ''}">
+                     title="${userData.name}${isHost ? ' (Host)' : ''}${isCoHost ? ' (Co-host)' : ''}${userData.buffering ? ' (buffering)' : ''}">
                     ${initials}
                 </div>
             `;
@@ -254,8 +351,8 @@ export class PresenceManager {
         return colors[Math.abs(hash) % colors.length];
     }
     
-    onHostChange(callback) {
-        this.onHostChangeCallback = callback;
+    onUsersChange(callback) {
+        this.onUsersChangeCallback = callback;
     }
     
     isHost(userId = null) {
@@ -272,6 +369,12 @@ export class PresenceManager {
             .filter(user => user.isOnline);
     }
     
+    // Online users whose players are waiting for data
+    getBufferingUsers() {
+        return this.getOnlineUsers()
+            .filter(user => user.buffering);
+    }
+    
     destroy() {
         if (this.heartbeatInterval) {
             clearInterval(this.heartbeatInterval);
@@ -284,9 +387,9 @@ export class PresenceManager {
     async removePresence() {
         const { ref, remove } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
         
-        const presenceRef = ref(this.db, `rooms/${this.roomId}/presence/${this.userId}`);
+        const connectionRef = ref(this.db, `rooms/${this.roomId}/presence/${this.userId}/connections/${this.connectionId}`);
         try {
-            await remove(presenceRef);
+            await remove(connectionRef);
         } catch (error) {
             console.error('Failed to remove presence:', error);
         }
@@ -0,0 +1,294 @@
+// Shared room playlist with host-managed ordering
+import {
+    showToast,
+    escapeHtml,
+    RateLimiter
+} from './app.js';
+import { VideoPlayer } from './video.js';
+
+// Only the device that registered a local file (or the host streaming one) can play it
+const UNQUEUEABLE_TYPES = ['local', 'webrtc'];
+
+function isQueueableType(type) {
+    return Boolean(VideoPlayer.getAdapter(type)) && !UNQUEUEABLE_TYPES.includes(type);
+}
+
+export class QueueManager {
+    constructor(db, roomId, userId, userName) {
+        this.db = db;
+        this.roomId = roomId;
+        this.userId = userId;
+        this.userName = userName;
+        this.isHost = false;
+        
+        // Queue entries sorted by their order field
+        this.items = [];
+        
+        // Rate limiting (3 additions per 10s)
+        this.rateLimiter = new RateLimiter(3, 10000);
+        
+        // Max queued entries per room
+        this.maxItems = 50;
+        
+        this.onPlayNextCallback = null;
+        
+        this.init();
+    }
+    
+    init() {
+        this.setupEventListeners();
+        this.setupFirebaseListeners();
+    }
+    
+    setupEventListeners() {
+        const urlInput = document.getElementById('queue-url-input');
+        const addButton = document.getElementById('add-to-queue-btn');
+        
+        addButton.addEventListener('click', () => {
+            this.addFromInput();
+        });
+        
+        urlInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.addFromInput();
+            }
+        });
+        
+        // Collapse/expand the panel
+        document.getElementById('toggle-queue-btn').addEventListener('click', (e) => {
+            const body = document.getElementById('queue-body');
+            body.classList.toggle('hidden');
+            e.currentTarget.textContent = body.classList.contains('hidden') ? '▸' : '▾';
+        });
+        
+        // Skip to next entry (host only)
+        document.getElementById('play-next-btn').addEventListener('click', () => {
+            if (this.onPlayNextCallback) {
+                this.onPlayNextCallback();
+            }
+        });
+        
+        // Host actions on individual entries
+        document.getElementById('queue-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            
+            const itemId = button.closest('.queue-item').dataset.id;
+            
+            switch (button.dataset.action) {
+                case 'up':
+                    this.moveItem(itemId, -1);
+                    break;
+                case 'down':
+                    this.moveItem(itemId, 1);
+                    break;
+                case 'remove':
+                    this.removeItem(itemId);
+                    break;
+            }
+        });
+    }
+    
+    async setupFirebaseListeners() {
+        const { ref, onValue } =
+            await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        const queueRef = ref(this.db, `rooms/${this.roomId}/queue`);
+        onValue(queueRef, (snapshot) => {
+            const queueData = snapshot.val();
+            
+            // Entries anyone could have written; skip those no player here can take
+            this.items = queueData
+                ? Object.entries(queueData)
+                    .map(([id, data]) => ({ id, ...data }))
+                    .filter(item => typeof item.url === 'string' && isQueueableType(item.type))
+                    .sort((a, b) => a.order - b.order)
+                : [];
+            
+            this.render();
+        });
+    }
+    
+    addFromInput() {
+        const urlInput = document.getElementById('queue-url-input');
+        const url = urlInput.value.trim();
+        
+        if (!url) {
+            showToast('Please enter a video URL', 'error');
+            return;
+        }
+        
+        this.addItem(url).then((added) => {
+            if (added) {
+                urlInput.value = '';
+            }
+        });
+    }
+    
+    async addItem(url) {
+        const validatedUrl = await VideoPlayer.resolveUrl(url);
+        
+        if (!validatedUrl) {
+            showToast('Invalid video URL. Please use YouTube, Vimeo, HLS, DASH, or playable audio/video file links.', 'error');
+            return false;
+        }
+        
+        if (!isQueueableType(validatedUrl.type)) {
+            showToast('Local files can\'t be queued; only this device can play them', 'error');
+            return false;
+        }
+        
+        if (this.items.length >= this.maxItems) {
+            showToast(`Queue is full (max ${this.maxItems} videos)`, 'warning');
+            return false;
+        }
+        
+        if (!this.rateLimiter.canMakeCall()) {
+            const waitTime = Math.ceil(this.rateLimiter.getTimeUntilNextCall() / 1000);
+            showToast(`Please wait ${waitTime}s before adding another video`, 'warning');
+            return false;
+        }
+        
+        const { ref, push, serverTimestamp } =
+            await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        const queueRef = ref(this.db, `rooms/${this.roomId}/queue`);
+        const lastItem = this.items[this.items.length - 1];
+        
+        try {
+            await push(queueRef, {
+                url: validatedUrl.url,
+                type: validatedUrl.type,
+                addedBy: this.userId,
+                addedByName: this.userName,
+                addedAt: serverTimestamp(),
+                order: lastItem ? lastItem.order + 1 : 0
+            });
+            showToast('Added to queue', 'success', 2000);
+            return true;
+        } catch (error) {
+            console.error('Failed to add to queue:', error);
+            showToast('Failed to add to queue', 'error');
+            return false;
+        }
+    }
+    
+    async removeItem(itemId) {
+        if (!this.isHost) return;
+        
+        const { ref, remove } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        try {
+            await remove(ref(this.db, `rooms/${this.roomId}/queue/${itemId}`));
+        } catch (error) {
+            console.error('Failed to remove queue item:', error);
+            showToast('Failed to remove from queue', 'error');
+        }
+    }
+    
+    async moveItem(itemId, direction) {
+        if (!this.isHost) return;
+        
+        const index = this.items.findIndex(item => item.id === itemId);
+        const targetIndex = index + direction;
+        if (index < 0 || targetIndex < 0 || targetIndex >= this.items.length) return;
+        
+        const { ref, update } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        // Swap order values in a single multi-path update
+        const item = this.items[index];
+        const target = this.items[targetIndex];
+        
+        try {
+            await update(ref(this.db, `rooms/${this.roomId}/queue`), {
+                [`${item.id}/order`]: target.order,
+                [`${target.id}/order`]: item.order
+            });
+        } catch (error) {
+            console.error('Failed to reorder queue:', error);
+            showToast('Failed to reorder queue', 'error');
+        }
+    }
+    
+    async takeNext() {
+        if (!this.isHost || this.items.length === 0) return null;
+        
+        const { ref, remove } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        const nextItem = this.items[0];
+        
+        try {
+            await remove(ref(this.db, `rooms/${this.roomId}/queue/${nextItem.id}`));
+            return nextItem;
+        } catch (error) {
+            console.error('Failed to advance queue:', error);
+            return null;
+        }
+    }
+    
+    render() {
+        const queueList = document.getElementById('queue-list');
+        const queueCount = document.getElementById('queue-count');
+        if (!queueList) return;
+        
+        queueCount.textContent = this.items.length;
+        document.getElementById('play-next-btn').disabled = this.items.length === 0;
+        
+        if (this.items.length === 0) {
+            queueList.innerHTML = '<li class="queue-empty">Queue is empty</li>';
+            return;
+        }
+        
+        queueList.innerHTML = this.items.map((item, index) => `
+            <li class="queue-item" data-id="${escapeHtml(item.id)}">
+                <span class="queue-position">${index + 1}</span>
+                <div class="queue-details">
+                    <span class="queue-title" title="${escapeHtml(item.url)}">${escapeHtml(this.getItemLabel(item))}</span>
+                    <span class="queue-meta">${escapeHtml(item.type.toUpperCase())} · added by ${escapeHtml(item.addedByName)}</span>
+                </div>
+                ${this.isHost ? `
+                    <div class="queue-actions">
+                        <button class="chat-action-btn" data-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                        <button class="chat-action-btn" data-action="down" title="Move down" ${index === this.items.length - 1 ? 'disabled' : ''}>↓</button>
+                        <button class="chat-action-btn" data-action="remove" title="Remove">✕</button>
+                    </div>
+                ` : ''}
+            </li>
+        `).join('');
+    }
+    
+    getItemLabel(item) {
+        try {
+            const urlObj = new URL(item.url);
+            
+            if (item.type === 'youtube') {
+                return `YouTube · ${urlObj.searchParams.get('v') || urlObj.pathname.slice(1)}`;
+            }
+            if (item.type === 'vimeo') {
+                return `Vimeo · ${urlObj.pathname.slice(1)}`;
+            }
+            
+            // Direct files: show the file name
+            return decodeURIComponent(urlObj.pathname.split('/').pop()) || urlObj.hostname;
+        } catch (error) {
+            return item.url;
+        }
+    }
+    
+    setHost(isHost) {
+        this.isHost = isHost;
+        this.render();
+    }
+    
+    onPlayNext(callback) {
+        this.onPlayNextCallback = callback;
+    }
+    
+    hasNext() {
+        return this.items.length > 0;
+    }
+    
+    destroy() {
+        this.onPlayNextCallback = null;
+    }
+}
@@ -0,0 +1,199 @@
+// Emoji reactions floating over the video, with a per-video heatmap on the seek bar
+//
+// Live reactions are short-lived events under rooms/{id}/reactions/live, kept apart from chat;
+// counts per stretch of video build up under rooms/{id}/reactions/heatmap/{videoKey}.
+import { showToast, getVideoKey, RateLimiter } from './app.js';
+
+export class ReactionManager {
+    constructor(db, roomId, userId, videoPlayer, getServerTime) {
+        this.db = db;
+        this.roomId = roomId;
+        this.userId = userId;
+        this.videoPlayer = videoPlayer;
+        this.getServerTime = getServerTime;
+        
+        // Reactions older than this are history, not something to animate
+        this.liveDuration = 5000;
+        this.liveUnsubscribe = null;
+        
+        // Heatmap of the current video: bucket index -> reaction count
+        this.videoUrl = null;
+        this.videoKey = null;
+        this.heatmap = {};
+        this.heatmapUnsubscribe = null;
+        
+        // Seconds of video per heatmap bucket
+        this.bucketSize = 5;
+        
+        // Duration the heatmap was last drawn for
+        this.heatmapDuration = 0;
+        
+        // Rate limiting (3 reactions per 2s)
+        this.rateLimiter = new RateLimiter(3, 2000);
+        
+        this.init();
+    }
+    
+    init() {
+        this.setupEventListeners();
+        this.setupFirebaseListeners();
+    }
+    
+    setupEventListeners() {
+        document.getElementById('reaction-bar').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-reaction]');
+            if (button) {
+                this.sendReaction(button.dataset.reaction);
+            }
+        });
+        
+        // The canvas is drawn at its on-screen size
+        window.addEventListener('resize', () => {
+            this.renderHeatmap();
+        });
+    }
+    
+    async setupFirebaseListeners() {
+        const { ref, query, limitToLast, onChildAdded } =
+            await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        const liveQuery = query(ref(this.db, `rooms/${this.roomId}/reactions/live`), limitToLast(20));
+        this.liveUnsubscribe = onChildAdded(liveQuery, (snapshot) => {
+            const reaction = snapshot.val();
+            
+            // The initial load replays recent events; only animate fresh ones
+            if (reaction && this.getServerTime() - reaction.sentAt < this.liveDuration) {
+                this.showReaction(reaction.emoji);
+            }
+        });
+    }
+    
+    async sendReaction(emoji) {
+        if (!this.rateLimiter.canMakeCall()) {
+            const waitTime = Math.ceil(this.rateLimiter.getTimeUntilNextCall() / 1000);
+            showToast(`Please wait ${waitTime}s before reacting again`, 'warning', 1500);
+            return;
+        }
+        
+        const { ref, push, remove, update, increment, onDisconnect, serverTimestamp } =
+            await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        try {
+            const reactionRef = await push(ref(this.db, `rooms/${this.roomId}/reactions/live`), {
+                emoji,
+                userId: this.userId,
+                sentAt: serverTimestamp()
+            });
+            
+            // Senders clean up their own events, even if they leave first
+            const disconnect = onDisconnect(reactionRef);
+            disconnect.remove().catch((error) => {
+                console.error('Failed to set up reaction cleanup:', error);
+            });
+            setTimeout(() => {
+                remove(reactionRef).catch(() => {});
+                disconnect.cancel().catch(() => {});
+            }, this.liveDuration);
+            
+            if (this.videoKey && this.videoPlayer.isReady()) {
+                const bucket = Math.floor(this.videoPlayer.getCurrentTime() / this.bucketSize);
+                await update(ref(this.db, `rooms/${this.roomId}/reactions/heatmap/${this.videoKey}`), {
+                    [bucket]: increment(1)
+                });
+            }
+        } catch (error) {
+            console.error('Failed to send reaction:', error);
+        }
+    }
+    
+    showReaction(emoji) {
+        const overlay = document.getElementById('reaction-overlay');
+        const reaction = document.createElement('span');
+        
+        reaction.className = 'floating-reaction';
+        reaction.textContent = emoji;
+        reaction.style.left = `${10 + Math.random() * 80}%`;
+        reaction.addEventListener('animationend', () => reaction.remove());
+        
+        overlay.appendChild(reaction);
+    }
+    
+    // Follow the room's current video for the heatmap
+    async setVideo(url) {
+        if (url === this.videoUrl) return;
+        
+        this.videoUrl = url;
+        this.videoKey = null;
+        this.heatmap = {};
+        
+        if (this.heatmapUnsubscribe) {
+            this.heatmapUnsubscribe();
+            this.heatmapUnsubscribe = null;
+        }
+        this.renderHeatmap();
+        
+        if (!url) return;
+        
+        const { ref, onValue } =
+            await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        const videoKey = await getVideoKey(url);
+        
+        // The video changed again while hashing
+        if (url !== this.videoUrl) return;
+        
+        this.videoKey = videoKey;
+        this.heatmapUnsubscribe = onValue(ref(this.db, `rooms/${this.roomId}/reactions/heatmap/${videoKey}`), (snapshot) => {
+            this.heatmap = snapshot.val() || {};
+            this.renderHeatmap();
+        });
+    }
+    
+    renderHeatmap() {
+        const canvas = document.getElementById('reaction-heatmap');
+        const duration = this.videoPlayer.isReady() ? this.videoPlayer.getDuration() : 0;
+        this.heatmapDuration = duration;
+        
+        canvas.width = canvas.clientWidth;
+        canvas.height = canvas.clientHeight;
+        
+        const context = canvas.getContext('2d');
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        
+        // Stored as an array when the buckets happen to be dense
+        const counts = Object.entries(this.heatmap).filter(([, count]) => count > 0);
+        if (!duration || counts.length === 0) return;
+        
+        const maxCount = Math.max(...counts.map(([, count]) => count));
+        const bucketWidth = Math.max(1, (this.bucketSize / duration) * canvas.width);
+        context.fillStyle = getComputedStyle(document.documentElement).getPropertyValue('--accent-primary');
+        
+        counts.forEach(([bucket, count]) => {
+            const height = Math.max(2, (count / maxCount) * canvas.height);
+            context.globalAlpha = 0.35 + 0.65 * (count / maxCount);
+            context.fillRect(
+                (Number(bucket) * this.bucketSize / duration) * canvas.width,
+                canvas.height - height,
+                bucketWidth,
+                height
+            );
+        });
+        context.globalAlpha = 1;
+    }
+    
+    // Called as playback progresses, since players often learn the duration late
+    refreshHeatmap() {
+        const duration = this.videoPlayer.isReady() ? this.videoPlayer.getDuration() : 0;
+        if (duration !== this.heatmapDuration) {
+            this.renderHeatmap();
+        }
+    }
+    
+    destroy() {
+        if (this.liveUnsubscribe) {
+            this.liveUnsubscribe();
+        }
+        if (this.heatmapUnsubscribe) {
+            this.heatmapUnsubscribe();
+        }
+    }
+}
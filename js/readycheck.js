@@ -0,0 +1,236 @@
+// Host-triggered ready check and synchronized countdown start
+import { showToast, escapeHtml } from './app.js';
+
+export class ReadyCheckManager {
+    constructor(db, roomId, userId, presenceManager, getServerTime) {
+        this.db = db;
+        this.roomId = roomId;
+        this.userId = userId;
+        this.presenceManager = presenceManager;
+        this.getServerTime = getServerTime;
+        this.isHost = false;
+        
+        // Current rooms/{id}/readyCheck node: { id, startedBy, startedByName, startAt }
+        this.check = null;
+        
+        // Countdown length in seconds
+        this.countdownLength = 3;
+        this.countdownInterval = null;
+        this.removeTimeout = null;
+        
+        this.onStartCallback = null;
+        
+        this.init();
+    }
+    
+    init() {
+        this.setupEventListeners();
+        this.setupFirebaseListeners();
+    }
+    
+    setupEventListeners() {
+        document.getElementById('ready-btn').addEventListener('click', () => {
+            this.markReady();
+        });
+        
+        // Host actions
+        document.getElementById('start-now-btn').addEventListener('click', () => {
+            this.startCountdown();
+        });
+        
+        document.getElementById('cancel-ready-check-btn').addEventListener('click', () => {
+            this.cancel();
+        });
+    }
+    
+    async setupFirebaseListeners() {
+        const { ref, onValue } =
+            await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        const checkRef = ref(this.db, `rooms/${this.roomId}/readyCheck`);
+        onValue(checkRef, (snapshot) => {
+            this.handleCheck(snapshot.val());
+        });
+    }
+    
+    handleCheck(check) {
+        const previousId = this.check ? this.check.id : null;
+        this.check = check;
+        
+        if (!check) {
+            this.stopCountdown();
+            this.presenceManager.setReady(null);
+            this.render();
+            return;
+        }
+        
+        if (check.id !== previousId) {
+            // Whoever starts the check is ready by definition
+            if (check.startedBy === this.userId) {
+                this.markReady();
+            } else {
+                showToast(`${escapeHtml(check.startedByName)} started a ready check`, 'info');
+            }
+        }
+        
+        if (check.startAt && !this.countdownInterval) {
+            this.runCountdown(check.startAt);
+        }
+        
+        this.render();
+    }
+    
+    async start() {
+        if (!this.isHost) return;
+        
+        if (this.check) {
+            showToast('A ready check is already running', 'warning');
+            return;
+        }
+        
+        const { ref, set } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        try {
+            await set(ref(this.db, `rooms/${this.roomId}/readyCheck`), {
+                id: `check_${Date.now().toString(36)}`,
+                startedBy: this.userId,
+                startedByName: this.presenceManager.userName,
+                startAt: null
+            });
+        } catch (error) {
+            console.error('Failed to start ready check:', error);
+            showToast('Failed to start ready check', 'error');
+        }
+    }
+    
+    markReady() {
+        if (!this.check) return;
+        this.presenceManager.setReady(this.check.id);
+    }
+    
+    async cancel() {
+        if (!this.isHost) return;
+        
+        const { ref, remove } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        try {
+            await remove(ref(this.db, `rooms/${this.roomId}/readyCheck`));
+        } catch (error) {
+            console.error('Failed to cancel ready check:', error);
+        }
+    }
+    
+    // Host picks a start instant on the server clock that every client counts down to
+    async startCountdown() {
+        if (!this.isHost || !this.check || this.check.startAt) return;
+        
+        const { ref, update } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        try {
+            await update(ref(this.db, `rooms/${this.roomId}/readyCheck`), {
+                startAt: this.getServerTime() + this.countdownLength * 1000
+            });
+        } catch (error) {
+            console.error('Failed to start countdown:', error);
+            showToast('Failed to start countdown', 'error');
+        }
+    }
+    
+    runCountdown(startAt) {
+        // Joined after the start instant, nothing to count down to
+        if (this.getServerTime() >= startAt) return;
+        
+        const overlay = document.getElementById('countdown-overlay');
+        overlay.classList.remove('hidden');
+        
+        this.countdownInterval = setInterval(() => {
+            const remaining = startAt - this.getServerTime();
+            
+            if (remaining > 0) {
+                overlay.textContent = Math.ceil(remaining / 1000);
+                return;
+            }
+            
+            this.stopCountdown();
+            
+            if (this.onStartCallback) {
+                this.onStartCallback();
+            }
+            
+            // Leave the check up briefly so slower clients still reach the start instant
+            if (this.isHost) {
+                this.removeTimeout = setTimeout(() => this.cancel(), 2000);
+            }
+        }, 50);
+    }
+    
+    stopCountdown() {
+        clearInterval(this.countdownInterval);
+        this.countdownInterval = null;
+        
+        const overlay = document.getElementById('countdown-overlay');
+        overlay.textContent = '';
+        overlay.classList.add('hidden');
+    }
+    
+    // True between the host starting the countdown and everyone having started
+    isCountingDown() {
+        return Boolean(this.check && this.check.startAt && this.getServerTime() < this.check.startAt + 2000);
+    }
+    
+    // Called on every presence change to refresh the tally
+    updateTally() {
+        this.render();
+        
+        if (!this.isHost || !this.check || this.check.startAt) return;
+        
+        const users = this.presenceManager.getOnlineUsers();
+        if (users.length > 0 && users.every(user => user.readyFor === this.check.id)) {
+            this.startCountdown();
+        }
+    }
+    
+    render() {
+        const overlay = document.getElementById('ready-check-overlay');
+        
+        // The countdown takes over once it starts
+        if (!this.check || this.check.startAt) {
+            overlay.classList.add('hidden');
+            return;
+        }
+        
+        const users = this.presenceManager.getOnlineUsers();
+        const readyCount = users.filter(user => user.readyFor === this.check.id).length;
+        
+        document.getElementById('ready-check-tally').textContent = `${readyCount}/${users.length} ready`;
+        document.getElementById('ready-check-list').innerHTML = users.map(user => `
+            <li>${user.readyFor === this.check.id ? '✅' : '⏳'} ${escapeHtml(user.name)}</li>
+        `).join('');
+        
+        document.getElementById('ready-btn').disabled = this.presenceManager.readyFor === this.check.id;
+        overlay.classList.remove('hidden');
+    }
+    
+    setHost(isHost) {
+        const becameHost = isHost && !this.isHost;
+        this.isHost = isHost;
+        
+        // A check the previous host left behind has nobody to finish it; a running countdown
+        // still removes itself once it ends
+        if (becameHost && this.check && !this.countdownInterval) {
+            this.cancel();
+        }
+        
+        this.render();
+    }
+    
+    onStart(callback) {
+        this.onStartCallback = callback;
+    }
+    
+    destroy() {
+        this.stopCountdown();
+        clearTimeout(this.removeTimeout);
+        this.onStartCallback = null;
+    }
+}
@@ -3,44 +3,153 @@ import {
     showToast, 
     initTheme, 
     getUserName, 
-    validateVideoUrl,
     copyToClipboard,
     getUrlParameter,
     generateUserId,
+    getUserId,
     checkFirebaseConfig,
     autoResizeTextarea,
-    debounce
+    debounce,
+    escapeHtml,
+    formatTime,
+    getVideoKey,
+    getWatchProgress,
+    saveWatchProgress,
+    isResumable
 } from './app.js';
 
 import { VideoPlayer } from './video.js';
 import { ChatManager } from './chat.js';
 import { PresenceManager } from './presence.js';
+import { HostLeaseManager } from './hostlease.js';
+import { ModerationManager } from './moderation.js';
+import { QueueManager } from './queue.js';
+import { SubtitleManager } from './subtitles.js';
+import { ReadyCheckManager } from './readycheck.js';
+import { VoteManager } from './votes.js';
+import { BookmarkManager } from './bookmarks.js';
+import { ReactionManager } from './reactions.js';
+import { PictureInPictureManager } from './pip.js';
+import { PeerStreamManager } from './peerstream.js';
+import { registerLocalFile, getLocalFile, fingerprintsMatch } from './adapters/local.js';
+import { setRemoteStream } from './adapters/webrtc.js';
+
+// Status line shown for the last playback action
+const ACTION_LABELS = {
+    play: '▶️ Played by',
+    pause: '⏸️ Paused by',
+    seek: '⏩ Skipped by',
+    rate: '⏱️ Speed changed by'
+};
 
 class RoomManager {
     constructor() {
         this.roomId = null;
         this.userId = null;
+        this.connectionId = null;
+        this.authUid = null;
         this.userName = null;
         this.isHost = false;
         this.db = null;
         this.videoPlayer = null;
         this.chatManager = null;
         this.presenceManager = null;
+        this.hostLeaseManager = null;
+        this.moderationManager = null;
+        this.queueManager = null;
+        this.subtitleManager = null;
+        this.readyCheckManager = null;
+        this.voteManager = null;
+        this.peerStreamManager = null;
+        this.bookmarkManager = null;
+        this.reactionManager = null;
+        this.pipManager = null;
+        
+        // URL currently loaded in the player, and a count of loads so a slow one can tell it's been overtaken
+        this.loadedUrl = null;
+        this.loadCount = 0;
         
         // State management
         this.currentState = {
             url: '',
             time: 0,
             playing: false,
+            rate: 1,
             updatedAt: 0,
             hostId: ''
         };
         
+        // Whether rooms/{id}/state exists (null until it has loaded)
+        this.roomStateExists = null;
+        
+        // Most recent host we saw, to tell a takeover from a new room
+        this.lastHostId = null;
+        
+        // Name of the host who handed the lease to us, until we've claimed it and said so
+        this.handedOverBy = null;
+        
+        // Kicked or banned; the page is on its way back to the start
+        this.removedFromRoom = false;
+        
+        // Database listeners set up in connectToRoom
+        this.unsubscribes = [];
+        
+        // Room-wide options set by the host
+        this.settings = {
+            waitForEveryone: false,
+            controlPolicy: 'host',   // 'host', 'everyone' or 'list'
+            controllers: {},         // userId -> name for the 'list' policy
+            cohosts: {},             // userId -> name of viewers who share the host's playback and chat controls
+            voteThreshold: 0.5       // share of viewers needed to pass a vote
+        };
+        
+        // Host paused the room because someone is buffering
+        this.heldForBuffering = false;
+        this.bufferingTimeout = null;
+        
         // Sync management
         this.lastSyncTime = 0;
         this.syncInterval = null;
         this.isUpdatingFromRemote = false;
         
+        // State writes: changes apply locally at once and are merged into at most one write per minInterval
+        this.stateWrites = {
+            minInterval: 250,
+            pending: null,      // fields changed since the last write went out
+            pendingAt: 0,       // server time the pending position was taken at
+            waiters: [],        // callers waiting for the pending fields to be written
+            timeout: null,
+            inFlight: false,
+            lastWriteAt: 0,
+            count: 0,           // writes sent
+            coalesced: 0,       // updates merged into another write
+            lastLatency: 0,     // ms from sending a write to the server acknowledging it
+            totalLatency: 0
+        };
+        
+        // Progress updates leave the seek slider alone while it is dragged
+        this.isDraggingSeek = false;
+        
+        // Watch progress: the host saves the room's every 15s; resume offer shown as { url, time }
+        this.lastProgressWrite = 0;
+        this.resumeOffer = null;
+        
+        // Estimated offset between the local clock and the database server clock (ms)
+        this.serverTimeOffset = 0;
+        
+        // Drift correction: small drift is absorbed by nudging playback rate, large gaps are seeked
+        this.driftConfig = {
+            mode: getUrlParameter('sync') === 'seek' ? 'seek' : 'nudge',
+            nudgeThreshold: 0.15,    // seconds of drift ignored entirely
+            hardSeekThreshold: 2,    // seconds of drift always fixed with a seek in nudge mode
+            seekThreshold: 0.4,      // seconds of drift fixed with a seek in seek mode
+            maxRateAdjustment: 0.1   // +/- playback rate applied while nudging
+        };
+        this.nudgeTimeout = null;
+        this.isNudging = false;
+        this.lastCorrection = 'none';
+        this.unsupportedRate = null;
+        
         // Debug mode
         this.debugMode = getUrlParameter('debug') === '1';
         
@@ -77,15 +186,56 @@ class RoomManager {
                 return;
             }
             
-            this.userId = generateUserId();
+            // Same id across reloads and tabs; each tab is a separate connection
+            this.userId = this.authUid || getUserId();
+            this.connectionId = generateUserId();
             
             // Initialize UI
             this.initUI();
             
             // Initialize managers
             this.videoPlayer = new VideoPlayer();
-            this.chatManager = new ChatManager(this.db, this.roomId, this.userId, this.userName);
-            this.presenceManager = new PresenceManager(this.db, this.roomId, this.userId, this.userName);
+            this.chatManager = new ChatManager(
+                this.db, this.roomId, this.userId, this.userName, () => this.getServerTime()
+            );
+            this.presenceManager = new PresenceManager(
+                this.db, this.roomId, this.userId, this.connectionId, this.userName, () => this.getServerTime()
+            );
+            this.hostLeaseManager = new HostLeaseManager(
+                this.db, this.roomId, this.userId, this.connectionId, this.userName, () => this.getServerTime()
+            );
+            this.moderationManager = new ModerationManager(
+                this.db, this.roomId, this.userId, this.userName, () => this.getServerTime()
+            );
+            this.queueManager = new QueueManager(this.db, this.roomId, this.userId, this.userName);
+            this.subtitleManager = new SubtitleManager(this.db, this.roomId, this.videoPlayer);
+            this.readyCheckManager = new ReadyCheckManager(
+                this.db, this.roomId, this.userId, this.presenceManager, () => this.getServerTime()
+            );
+            this.voteManager = new VoteManager(
+                this.db, this.roomId, this.userId, this.userName, this.presenceManager, this.chatManager
+            );
+            // Streams go to each tab, not each user
+            this.peerStreamManager = new PeerStreamManager(this.db, this.roomId, this.connectionId);
+            this.bookmarkManager = new BookmarkManager(
+                this.db, this.roomId, this.userId, this.userName, this.videoPlayer
+            );
+            this.reactionManager = new ReactionManager(
+                this.db, this.roomId, this.userId, this.videoPlayer, () => this.getServerTime()
+            );
+            this.pipManager = new PictureInPictureManager(this.videoPlayer);
+            
+            // A received stream has no timeline of its own; show the room's
+            this.videoPlayer.setLiveTimeline({
+                getCurrentTime: () => this.getRemoteTime(),
+                getDuration: () => (this.currentState.localFile && this.currentState.localFile.duration) || 0
+            });
+            
+            // Chat messages remember where in the video they were sent
+            this.chatManager.setPositionSource(() => this.currentState.url && this.videoPlayer.isReady()
+                ? { url: this.currentState.url, time: this.videoPlayer.getCurrentTime() }
+                : null);
+            this.chatManager.onTimeClick((url, time) => this.jumpToChatTime(url, time));
             
             // Set up event listeners
             this.setupEventListeners();
@@ -103,7 +253,7 @@ class RoomManager {
             }
             
             showToast(`Joined room ${this.roomId}`, 'success');
-            
+        
         } catch (error) {
             console.error('Failed to initialize room:', error);
             showToast('Failed to connect to room', 'error');
@@ -113,10 +263,23 @@ class RoomManager {
     async initFirebase() {
         const { initializeApp } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-app.js');
         const { getDatabase } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
-        const { firebaseConfig } = await import('./firebase-config.js');
+        const { firebaseConfig, useAnonymousAuth } = await import('./firebase-config.js');
         
         const app = initializeApp(firebaseConfig);
         this.db = getDatabase(app);
+        
+        // Optionally back the user id with Firebase anonymous auth (it survives reloads like the local id)
+        if (useAnonymousAuth) {
+            const { getAuth, signInAnonymously } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-auth.js');
+            
+            try {
+                const { user } = await signInAnonymously(getAuth(app));
+                this.authUid = user.uid;
+            } catch (error) {
+                console.error('Failed to sign in anonymously:', error);
+                showToast('Sign-in failed, using a local id instead', 'warning');
+            }
+        }
     }
     
     initUI() {
@@ -147,7 +310,7 @@ class RoomManager {
         
         // Video controls
         document.getElementById('play-pause-btn').addEventListener('click', () => {
-            if (this.isHost) {
+            if (this.canControl()) {
                 this.videoPlayer.isPlaying() ? this.pause() : this.play();
             }
         });
@@ -157,15 +320,86 @@ class RoomManager {
             this.updateMuteButton();
         });
         
+        // Playback speed (whoever may control playback)
+        document.getElementById('speed-select').addEventListener('change', (e) => {
+            if (this.canControl()) {
+                this.setRate(parseFloat(e.target.value));
+            }
+        });
+        
+        // Who can control playback (host only)
+        document.getElementById('control-policy-select').addEventListener('change', (e) => {
+            this.updateSettings({ controlPolicy: e.target.value });
+        });
+        
+        document.getElementById('controllers-list').addEventListener('change', (e) => {
+            const userId = e.target.dataset.userId;
+            const user = this.presenceManager.users.get(userId);
+            
+            this.updateSettings({
+                [`controllers/${userId}`]: e.target.checked && user ? user.name : null
+            });
+        });
+        
+        // Hand off hosting, share controls with or moderate a viewer (host only)
+        document.getElementById('viewer-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            
+            const userId = button.closest('.viewer-item').dataset.userId;
+            switch (button.dataset.action) {
+                case 'host':
+                    this.transferHost(userId);
+                    break;
+                case 'cohost':
+                    this.toggleCoHost(userId);
+                    break;
+                case 'mute':
+                    this.toggleMute(userId);
+                    break;
+                case 'kick':
+                    this.kickViewer(userId);
+                    break;
+                case 'ban':
+                    this.banViewer(userId);
+                    break;
+                case 'unban':
+                    this.unbanViewer(userId);
+                    break;
+            }
+        });
+        
+        document.getElementById('vote-threshold-select').addEventListener('change', (e) => {
+            this.updateSettings({ voteThreshold: parseFloat(e.target.value) });
+        });
+        
+        // Wait for everyone mode (host only)
+        document.getElementById('wait-for-everyone-toggle').addEventListener('change', (e) => {
+            this.updateSettings({ waitForEveryone: e.target.checked });
+        });
+        
+        // Ready check (host only)
+        document.getElementById('ready-check-btn').addEventListener('click', () => {
+            this.startReadyCheck();
+        });
+        
         // Seek slider
         const seekSlider = document.getElementById('seek-slider');
         seekSlider.addEventListener('input', debounce((e) => {
-            if (this.isHost) {
+            if (this.canControl()) {
                 const time = (e.target.value / 100) * this.videoPlayer.getDuration();
                 this.seek(time);
             }
         }, 300));
         
+        seekSlider.addEventListener('pointerdown', () => {
+            this.isDraggingSeek = true;
+        });
+        
+        window.addEventListener('pointerup', () => {
+            this.isDraggingSeek = false;
+        });
+        
         // Volume slider
         document.getElementById('volume-slider').addEventListener('input', (e) => {
             this.videoPlayer.setVolume(e.target.value / 100);
@@ -187,6 +421,40 @@ class RoomManager {
             }
         });
         
+        // Local files: the host opens one, viewers pick their own copy
+        document.getElementById('host-local-file-input').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.openLocalFile(file);
+            }
+            e.target.value = '';
+        });
+        
+        document.getElementById('host-stream-file-input').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.streamLocalFile(file);
+            }
+            e.target.value = '';
+        });
+        
+        document.getElementById('local-file-input').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.pickLocalFile(file);
+            }
+            e.target.value = '';
+        });
+        
+        // Resume offer
+        document.getElementById('resume-btn').addEventListener('click', () => {
+            this.acceptResumeOffer();
+        });
+        
+        document.getElementById('dismiss-resume-btn').addEventListener('click', () => {
+            this.hideResumeOffer();
+        });
+        
         // Demo video button
         document.getElementById('demo-video-btn').addEventListener('click', () => {
             if (this.isHost) {
@@ -204,20 +472,20 @@ class RoomManager {
             switch (e.key.toLowerCase()) {
                 case ' ':
                     e.preventDefault();
-                    if (this.isHost) {
+                    if (this.canControl()) {
                         this.videoPlayer.isPlaying() ? this.pause() : this.play();
                     }
                     break;
                 case 'arrowleft':
                     e.preventDefault();
-                    if (this.isHost) {
+                    if (this.canControl()) {
                         const currentTime = this.videoPlayer.getCurrentTime();
                         this.seek(Math.max(0, currentTime - 5));
                     }
                     break;
                 case 'arrowright':
                     e.preventDefault();
-                    if (this.isHost) {
+                    if (this.canControl()) {
                         const currentTime = this.videoPlayer.getCurrentTime();
                         const duration = this.videoPlayer.getDuration();
                         this.seek(Math.min(duration, currentTime + 5));
@@ -231,70 +499,237 @@ class RoomManager {
         });
         
         // Mobile chat toggle
+        // The video docks as a mini-player while the chat covers it
         document.getElementById('toggle-chat-btn')?.addEventListener('click', () => {
             document.getElementById('mobile-chat-overlay').classList.remove('hidden');
+            this.pipManager.setDocked(true);
         });
         
         document.getElementById('close-mobile-chat')?.addEventListener('click', () => {
             document.getElementById('mobile-chat-overlay').classList.add('hidden');
+            this.pipManager.setDocked(false);
         });
     }
     
     async connectToRoom() {
         const { ref, onValue, push, set, onDisconnect } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
         
+        // Track server clock offset so drift isn't skewed by local clocks
+        const offsetRef = ref(this.db, '.info/serverTimeOffset');
+        this.unsubscribes.push(onValue(offsetRef, (snapshot) => {
+            this.serverTimeOffset = snapshot.val() || 0;
+            
+            if (this.debugMode) {
+                this.updateDebugInfo();
+            }
+        }));
+        
         // Check if room exists and get current state
         const roomStateRef = ref(this.db, `rooms/${this.roomId}/state`);
         
-        onValue(roomStateRef, (snapshot) => {
+        this.unsubscribes.push(onValue(roomStateRef, (snapshot) => {
             const state = snapshot.val();
             
+            this.roomStateExists = Boolean(state);
+            
             if (!state) {
-                // Room doesn't exist, create it and become host
-                this.becomeHost();
+                // Room doesn't exist yet; whoever holds the host lease creates it
+                if (this.isHost) {
+                    this.createRoomState();
+                }
             } else {
-                // Room exists, sync to current state
-                this.currentState = state;
-                this.isHost = state.hostId === this.userId;
+                // Room exists, sync to current state (keeping our changes that haven't been written yet)
+                const pending = this.stateWrites.pending;
+                this.currentState = pending
+                    ? { ...state, ...pending, updatedAt: this.stateWrites.pendingAt, lastActorId: this.userId, lastActorName: this.userName }
+                    : state;
                 
-                if (this.currentState.url) {
+                // Only reload the player when the room switches videos
+                if (this.currentState.url && this.currentState.url !== this.loadedUrl) {
                     this.loadVideo(this.currentState.url, false);
                 }
                 
+                this.subtitleManager.setRoomTracks(this.currentState.subtitles);
+                this.bookmarkManager.setVideo(this.currentState.url);
+                this.reactionManager.setVideo(this.currentState.url);
+                this.updateSpeedSelect();
+                this.updateLastActionStatus();
+                this.updateFileStatus();
+                
                 this.syncToRemoteState();
                 this.updateHostUI();
             }
+        }));
+        
+        // Room settings
+        const settingsRef = ref(this.db, `rooms/${this.roomId}/settings`);
+        this.unsubscribes.push(onValue(settingsRef, (snapshot) => {
+            const wasCoHost = this.isCoHost();
+            
+            this.settings = {
+                waitForEveryone: false,
+                controlPolicy: 'host',
+                controllers: {},
+                cohosts: {},
+                voteThreshold: 0.5,
+                ...snapshot.val()
+            };
+            
+            if (!wasCoHost && this.isCoHost()) {
+                showToast('You are now a co-host', 'success');
+            } else if (wasCoHost && !this.isCoHost()) {
+                showToast('You are no longer a co-host', 'warning');
+            }
+            
+            this.voteManager.setThreshold(this.settings.voteThreshold);
+            this.presenceManager.setCoHosts(this.settings.cohosts);
+            
+            this.updateHostUI();
+            this.checkBuffering();
+        }));
+        
+        // Set up presence; banned users never get as far as running for host
+        this.presenceManager.connect().then((joined) => {
+            if (!joined) {
+                this.leaveRoom('You are banned from this room');
+            } else {
+                this.hostLeaseManager.start();
+            }
+        });
+        
+        // The host can send us away
+        this.moderationManager.onRemoved((reason, by) => {
+            this.leaveRoom(reason === 'banned'
+                ? 'You are banned from this room'
+                : `${escapeHtml(by)} removed you from the room`);
+        });
+        
+        this.moderationManager.onChange(() => {
+            this.updateViewerList();
         });
         
-        // Set up presence
-        this.presenceManager.connect();
+        // Buffering status changes arrive through presence
+        this.presenceManager.onUsersChange(() => {
+            this.updateBufferingStatus();
+            this.updateFileStatus();
+            this.updateControllersList();
+            this.updateViewerList();
+            this.checkBuffering();
+            this.readyCheckManager.updateTally();
+            this.voteManager.updateTally();
+        });
         
-        // Listen for host changes
-        this.presenceManager.onHostChange((newHostId) => {
+        // The host is whoever holds the room's lease
+        // Only the tab holding the lease hosts, even if the same user has the room open elsewhere
+        this.hostLeaseManager.onHostChange((newHostId, isHost, lease) => {
             const wasHost = this.isHost;
-            this.isHost = newHostId === this.userId;
+            const lastHostId = this.lastHostId;
+            this.isHost = isHost;
+            this.lastHostId = newHostId || lastHostId;
+            this.presenceManager.setHostId(newHostId);
+            
+            // A handed-over lease names us before we claim it
+            if (!isHost && lease && lease.userId === this.userId && lease.transferredFromName) {
+                this.handedOverBy = lease.transferredFromName;
+            }
             
             if (!wasHost && this.isHost) {
-                showToast('You are now the host', 'success');
+                if (this.roomStateExists === false) {
+                    this.createRoomState();
+                } else {
+                    showToast('You are now the host', 'success');
+                    this.claimRoomState();
+                    
+                    // The previous host can't announce a handover once it's done, so we do
+                    if (this.handedOverBy) {
+                        this.chatManager.sendSystemMessage(`👑 ${this.handedOverBy} made ${this.userName} the host`);
+                    } else if (lastHostId && lastHostId !== this.userId) {
+                        this.chatManager.sendSystemMessage(`👑 ${this.userName} took over as host`);
+                    }
+                }
             } else if (wasHost && !this.isHost) {
                 showToast('Host privileges transferred', 'warning');
             }
             
+            if (this.isHost) {
+                this.handedOverBy = null;
+            }
+            
             this.updateHostUI();
         });
+        
+        // Skip to the next queued video (host only)
+        this.queueManager.onPlayNext(() => {
+            this.playNextInQueue();
+        });
+        
+        // Everyone starts playing when the ready check countdown ends
+        this.readyCheckManager.onStart(() => {
+            this.startFromCountdown();
+        });
+        
+        // Apply passed votes through the normal playback path (host only)
+        this.voteManager.onPass((action) => {
+            this.applyVoteAction(action);
+        });
+        
+        this.bookmarkManager.onJump((time) => {
+            this.seek(time);
+        });
+        
+        this.pipManager.onMove(() => {
+            this.reloadPlayer();
+        });
+        
+        // The host broadcast its file again; the old connection won't carry it
+        this.peerStreamManager.onRestart(() => {
+            this.reloadPlayer();
+        });
+        
+        // Share subtitle tracks through room state (host only)
+        this.subtitleManager.onTracksChange((subtitles) => {
+            this.updateRoomState({ subtitles });
+        });
+    }
+    
+    // Set up a new room's state; the transaction leaves a state someone else already wrote alone
+    async createRoomState() {
+        const { ref, runTransaction, serverTimestamp } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        try {
+            const result = await runTransaction(ref(this.db, `rooms/${this.roomId}/state`), (current) => {
+                if (current) return undefined;
+                
+                return {
+                    ...this.currentState,
+                    hostId: this.userId,
+                    updatedAt: serverTimestamp()
+                };
+            });
+            if (!result.committed) return;
+        } catch (error) {
+            console.error('Failed to create room:', error);
+            showToast('Failed to create room', 'error');
+            return;
+        }
+        
+        showToast('You are the host', 'success');
+        
+        // A reopened room can pick up its last video where it left off
+        this.offerRoomResume();
     }
     
-    async becomeHost() {
+    // Record a new host in the room state for anyone reading it there
+    async claimRoomState() {
         const { ref, set } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
         
-        this.isHost = true;
         this.currentState.hostId = this.userId;
         
-        const roomStateRef = ref(this.db, `rooms/${this.roomId}/state`);
-        await set(roomStateRef, this.currentState);
-        
-        this.updateHostUI();
-        showToast('You are the host', 'success');
+        try {
+            await set(ref(this.db, `rooms/${this.roomId}/state/hostId`), this.userId);
+        } catch (error) {
+            console.error('Failed to update room host:', error);
+        }
     }
     
     updateHostUI() {
@@ -302,19 +737,28 @@ class RoomManager {
         const hostControls = document.getElementById('host-controls');
         const clearChatBtn = document.getElementById('clear-chat-btn');
         
+        this.queueManager.setHost(this.isHost);
+        this.subtitleManager.setHost(this.isHost);
+        this.readyCheckManager.setHost(this.isHost);
+        this.voteManager.setHost(this.isHost);
+        this.bookmarkManager.setHost(this.isHost);
+        this.updateSpeedSelect();
+        this.updateSettingsUI();
+        
         if (this.isHost) {
             body.classList.add('is-host');
             hostControls.classList.remove('hidden');
-            clearChatBtn.classList.remove('hidden');
         } else {
             body.classList.remove('is-host');
             hostControls.classList.add('hidden');
-            clearChatBtn.classList.add('hidden');
         }
         
+        // Co-hosts may clear the chat too
+        clearChatBtn.classList.toggle('hidden', !this.isHost && !this.isCoHost());
+        
         // Update debug info
         if (this.debugMode) {
-            document.getElementById('debug-role').textContent = this.isHost ? 'Host' : 'Client';
+            document.getElementById('debug-role').textContent = this.getRoleLabel();
         }
     }
     
@@ -336,123 +780,660 @@ class RoomManager {
         urlInput.value = '';
     }
     
-    async loadVideo(url, updateState = true) {
-        const validatedUrl = validateVideoUrl(url);
+    async loadVideo(url, updateState = true, autoplay = false) {
+        const load = ++this.loadCount;
+        const validatedUrl = await VideoPlayer.resolveUrl(url);
         
         if (!validatedUrl) {
-            showToast('Invalid video URL. Please use YouTube, Vimeo, or MP4 links.', 'error');
+            showToast('Invalid video URL. Please use YouTube, Vimeo, HLS, DASH, or playable audio/video file links.', 'error');
             return;
         }
         
+        this.loadedUrl = validatedUrl.url;
+        this.subtitleManager.resetPlayerTracks();
+        
+        if (this.resumeOffer && this.resumeOffer.url !== validatedUrl.url) {
+            this.hideResumeOffer();
+        }
+        this.handleBuffering(false);
+        
+        // Any previous stream belongs to the previous video
+        this.peerStreamManager.stopBroadcast();
+        this.peerStreamManager.leaveStream();
+        
+        // Viewers need their own copy of a local file before it can play
+        const isLocalFile = validatedUrl.type === 'local';
+        if (isLocalFile && !getLocalFile(validatedUrl.url)) {
+            this.videoPlayer.destroy();
+            this.presenceManager.setLocalFile(null);
+            this.showLocalFilePrompt(true);
+            return;
+        }
+        this.showLocalFilePrompt(false);
+        
+        // Viewers of a streamed file connect to the host before there is anything to play
+        const isStream = validatedUrl.type === 'webrtc';
+        if (isStream && !getLocalFile(validatedUrl.url)) {
+            showToast('Connecting to host\'s stream...', 'info', 2000);
+            
+            try {
+                setRemoteStream(validatedUrl.url, await this.peerStreamManager.joinStream());
+            } catch (error) {
+                // Another load took over while connecting; the player is its business now
+                if (load !== this.loadCount) return;
+                
+                console.error('Failed to join stream:', error);
+                showToast('Could not connect to the host\'s stream', 'error');
+                this.loadedUrl = null;
+                return;
+            }
+            
+            // Another video (or the same one again) was loaded while connecting
+            if (load !== this.loadCount) return;
+        }
+        
         try {
             await this.videoPlayer.loadVideo(validatedUrl.type, validatedUrl.url, {
                 onReady: () => {
                     this.updateVideoControls();
                     this.updateVideoPlaceholder(false);
+                    this.subtitleManager.refreshPlayerTracks();
+                    this.applyRoomRate();
+                    const localFile = this.publishLocalFile(isLocalFile || isStream ? validatedUrl.url : null);
+                    this.offerResume(validatedUrl.url);
+                    
+                    // The host sends whatever its player shows to every viewer who asks
+                    if (isStream && this.isHost && getLocalFile(validatedUrl.url)) {
+                        this.peerStreamManager.startBroadcast(this.videoPlayer.captureStream());
+                    }
                     
                     if (updateState && this.isHost) {
+                        // Subtitles belong to the previous video
+                        this.subtitleManager.clearTracks();
+                        
                         this.updateRoomState({
                             url: validatedUrl.url,
                             time: 0,
-                            playing: false
+                            playing: autoplay,
+                            subtitles: null,
+                            lastAction: null,
+                            localFile
                         });
+                        
+                        if (autoplay) {
+                            this.videoPlayer.play();
+                        }
                     }
                 },
+                // Only report changes that differ from the room, so syncing doesn't echo back
                 onPlay: () => {
-                    if (this.isHost && !this.isUpdatingFromRemote) {
-                        this.updateRoomState({ playing: true });
+                    if (this.canControl() && !this.isUpdatingFromRemote && !this.currentState.playing) {
+                        this.updateRoomState({ playing: true, lastAction: 'play' });
                     }
                     this.updatePlayPauseButton(true);
                 },
                 onPause: () => {
-                    if (this.isHost && !this.isUpdatingFromRemote) {
-                        this.updateRoomState({ playing: false });
+                    if (this.canControl() && !this.isUpdatingFromRemote && this.currentState.playing) {
+                        this.updateRoomState({ playing: false, lastAction: 'pause' });
                     }
                     this.updatePlayPauseButton(false);
                 },
                 onSeek: (time) => {
-                    if (this.isHost && !this.isUpdatingFromRemote) {
-                        this.updateRoomState({ time });
+                    if (this.canControl() && !this.isUpdatingFromRemote && Math.abs(time - this.getRemoteTime()) > 1) {
+                        this.updateRoomState({ time, lastAction: 'seek' });
+                    }
+                },
+                onBuffering: (buffering) => {
+                    this.handleBuffering(buffering);
+                },
+                onTimeUpdate: () => {
+                    this.updateVideoProgress();
+                },
+                onTextTracksChange: () => {
+                    this.subtitleManager.refreshPlayerTracks();
+                },
+                onEnded: () => {
+                    this.updatePlayPauseButton(false);
+                    
+                    // Auto-advance the room playlist
+                    if (this.isHost && this.queueManager.hasNext()) {
+                        this.playNextInQueue();
                     }
                 }
             });
             
             showToast(`Video loaded: ${validatedUrl.type.toUpperCase()}`, 'success');
-            
+        
         } catch (error) {
             console.error('Failed to load video:', error);
             showToast('Failed to load video', 'error');
+            this.loadedUrl = null;
         }
     }
     
-    async updateRoomState(updates) {
+    async openLocalFile(file) {
         if (!this.isHost) return;
         
-        const { ref, update } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        try {
+            const url = await registerLocalFile(file);
+            await this.loadVideo(url);
+        } catch (error) {
+            console.error('Failed to open local file:', error);
+            showToast('Failed to open local file', 'error');
+        }
+    }
+    
+    // Only the host needs the file; viewers receive it over WebRTC
+    async streamLocalFile(file) {
+        if (!this.isHost) return;
+        
+        try {
+            const url = await registerLocalFile(file, null, 'webrtc');
+            await this.loadVideo(url);
+        } catch (error) {
+            console.error('Failed to stream local file:', error);
+            showToast('Failed to stream local file', 'error');
+        }
+    }
+    
+    async pickLocalFile(file) {
+        const url = this.currentState.url;
+        if (!url || !url.startsWith('local:')) return;
+        
+        try {
+            await registerLocalFile(file, url);
+            await this.loadVideo(url, false);
+        } catch (error) {
+            console.error('Failed to open local file:', error);
+            showToast('Failed to open local file', 'error');
+        }
+    }
+    
+    // Share our file's fingerprint and warn if it isn't the host's file
+    publishLocalFile(url) {
+        const localFile = url ? getLocalFile(url) : null;
+        
+        if (!localFile) {
+            this.presenceManager.setLocalFile(null);
+            return null;
+        }
+        
+        const fingerprint = {
+            name: localFile.name,
+            size: localFile.size,
+            hash: localFile.hash,
+            duration: this.videoPlayer.getDuration()
+        };
+        this.presenceManager.setLocalFile(fingerprint);
+        
+        const hostFile = this.currentState.localFile;
+        if (!this.isHost && hostFile && !fingerprintsMatch(fingerprint, hostFile)) {
+            showToast(`Your file doesn't match the host's "${escapeHtml(hostFile.name)}", playback may not line up`, 'warning', 6000);
+        }
+        return fingerprint;
+    }
+    
+    // Embedded players reload when moved to or from the picture-in-picture window; pick up where the room is
+    async reloadPlayer() {
+        if (!this.currentState.url) return;
+        
+        this.loadedUrl = null;
+        await this.loadVideo(this.currentState.url, false);
+        if (!this.videoPlayer.isReady()) return;
+        
+        this.isUpdatingFromRemote = true;
+        await this.videoPlayer.seek(this.getRemoteTime());
+        if (this.currentState.playing) {
+            await this.videoPlayer.play();
+        }
+        this.isUpdatingFromRemote = false;
+    }
+    
+    // Save where we are in the current video: locally for everyone, for the room by the host
+    async recordProgress() {
+        const url = this.currentState.url;
+        if (!url || !this.videoPlayer.isReady() || this.videoPlayer.isLive()) return;
+        
+        const progress = {
+            url,
+            time: this.videoPlayer.getCurrentTime(),
+            duration: this.videoPlayer.getDuration()
+        };
+        
+        saveWatchProgress({
+            ...progress,
+            roomId: this.roomId,
+            label: this.currentState.localFile ? this.currentState.localFile.name : url
+        });
+        
+        if (!this.isHost || Date.now() - this.lastProgressWrite < 15000) return;
+        this.lastProgressWrite = Date.now();
+        
+        const { ref, set, serverTimestamp } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        try {
+            await set(ref(this.db, `rooms/${this.roomId}/progress/${await getVideoKey(url)}`), {
+                ...progress,
+                updatedAt: serverTimestamp()
+            });
+        } catch (error) {
+            console.error('Failed to save watch progress:', error);
+        }
+    }
+    
+    // Offer to resume a video at its last saved position, the room's or our own, whichever is newer
+    async offerResume(url) {
+        const { ref, get } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        let progress = null;
+        try {
+            const snapshot = await get(ref(this.db, `rooms/${this.roomId}/progress/${await getVideoKey(url)}`));
+            progress = snapshot.val();
+        } catch (error) {
+            console.error('Failed to load watch progress:', error);
+        }
+        
+        const localProgress = getWatchProgress(url);
+        if (localProgress && (!progress || localProgress.updatedAt > progress.updatedAt)) {
+            progress = localProgress;
+        }
+        
+        // Only worth it if it's still this video and far from where the room is
+        if (!progress || url !== this.currentState.url || !this.canControl()) return;
+        if (!isResumable(progress) || Math.abs(progress.time - this.getRemoteTime()) < 30) return;
+        
+        this.showResumeOffer(url, progress.time);
+    }
+    
+    // The room's most recently watched video, for a host reopening an empty room
+    async offerRoomResume() {
+        const { ref, get } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        try {
+            const snapshot = await get(ref(this.db, `rooms/${this.roomId}/progress`));
+            const latest = Object.values(snapshot.val() || {})
+                .sort((a, b) => b.updatedAt - a.updatedAt)[0];
+            
+            if (latest && isResumable(latest) && !this.currentState.url) {
+                this.showResumeOffer(latest.url, latest.time);
+            }
+        } catch (error) {
+            console.error('Failed to load watch progress:', error);
+        }
+    }
+    
+    showResumeOffer(url, time) {
+        this.resumeOffer = { url, time };
+        
+        document.getElementById('resume-text').textContent = url === this.currentState.url
+            ? `⏯️ Resume at ${formatTime(time)}?`
+            : `⏯️ Continue the last video at ${formatTime(time)}?`;
+        document.getElementById('resume-banner').classList.remove('hidden');
+    }
+    
+    hideResumeOffer() {
+        this.resumeOffer = null;
+        document.getElementById('resume-banner').classList.add('hidden');
+    }
+    
+    async acceptResumeOffer() {
+        const offer = this.resumeOffer;
+        this.hideResumeOffer();
+        if (!offer || !this.canControl()) return;
+        
+        if (offer.url !== this.currentState.url) {
+            if (!this.isHost) return;
+            await this.loadVideo(offer.url);
+        }
+        await this.seek(offer.time);
+    }
+    
+    async playNextInQueue() {
+        if (!this.isHost) return;
+        
+        const nextItem = await this.queueManager.takeNext();
+        if (!nextItem) {
+            showToast('Queue is empty', 'info');
+            return;
+        }
+        
+        showToast('Playing next video from queue', 'info', 2000);
+        await this.loadVideo(nextItem.url, true, true);
+    }
+    
+    // Resolves once the change has been written, possibly together with later ones
+    updateRoomState(updates) {
+        if (!this.canControl()) return Promise.resolve();
+        
+        // Every write re-anchors the room's position, so it always carries one
+        if (!('time' in updates)) {
+            updates = {
+                ...updates,
+                time: this.videoPlayer.isReady() ? this.videoPlayer.getCurrentTime() : this.getRemoteTime()
+            };
+        }
         
+        // Controllers other than the host must not claim the room
         const newState = {
             ...this.currentState,
             ...updates,
-            updatedAt: Date.now(),
-            hostId: this.userId
+            updatedAt: this.getServerTime(),
+            hostId: this.isHost ? this.userId : this.currentState.hostId,
+            lastActorId: this.userId,
+            lastActorName: this.userName
         };
         
         this.currentState = newState;
         this.lastSyncTime = Date.now();
         
-        const roomStateRef = ref(this.db, `rooms/${this.roomId}/state`);
-        await update(roomStateRef, newState);
+        const writes = this.stateWrites;
+        if (writes.pending) {
+            writes.coalesced++;
+        }
+        writes.pending = { ...writes.pending, ...updates };
+        writes.pendingAt = newState.updatedAt;
+        
+        return new Promise((resolve) => {
+            writes.waiters.push(resolve);
+            this.scheduleStateWrite();
+        });
+    }
+    
+    scheduleStateWrite() {
+        const writes = this.stateWrites;
+        if (!writes.pending || writes.timeout || writes.inFlight) return;
+        
+        const wait = Math.max(0, writes.lastWriteAt + writes.minInterval - Date.now());
+        writes.timeout = setTimeout(() => {
+            writes.timeout = null;
+            this.flushStateWrite();
+        }, wait);
+    }
+    
+    async flushStateWrite() {
+        const writes = this.stateWrites;
+        const { pending, pendingAt, waiters } = writes;
+        if (!pending) return;
+        
+        writes.pending = null;
+        writes.waiters = [];
+        writes.inFlight = true;
+        writes.lastWriteAt = Date.now();
+        
+        const { ref, update, serverTimestamp } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        // Carry the position forward to the moment the write goes out
+        const elapsed = (this.getServerTime() - pendingAt) / 1000;
+        const time = this.currentState.playing ? pending.time + elapsed * this.getRoomRate() : pending.time;
+        
+        const sentAt = performance.now();
+        
+        try {
+            // Stamp with the server clock; the local estimate is only used until the write echoes back
+            await update(ref(this.db, `rooms/${this.roomId}/state`), {
+                ...pending,
+                time,
+                hostId: this.currentState.hostId,
+                lastActorId: this.userId,
+                lastActorName: this.userName,
+                updatedAt: serverTimestamp()
+            });
+            
+            writes.count++;
+            writes.lastLatency = Math.round(performance.now() - sentAt);
+            writes.totalLatency += writes.lastLatency;
+        } catch (error) {
+            console.error('Failed to update room state:', error);
+            showToast('Failed to sync playback with the room', 'error');
+        } finally {
+            writes.inFlight = false;
+            waiters.forEach(resolve => resolve());
+            
+            // Changes made while this write was out go next
+            this.scheduleStateWrite();
+            this.updateDebugInfo();
+        }
+    }
+    
+    getServerTime() {
+        return Date.now() + this.serverTimeOffset;
+    }
+    
+    getRemoteTime() {
+        const timeSinceUpdate = this.getServerTime() - this.currentState.updatedAt;
+        
+        if (!this.currentState.playing) {
+            return this.currentState.time;
+        }
+        return this.currentState.time + (timeSinceUpdate / 1000) * this.getRoomRate();
+    }
+    
+    isCoHost(userId = this.userId) {
+        return Boolean(this.settings.cohosts && this.settings.cohosts[userId]);
+    }
+    
+    getRoleLabel() {
+        if (this.isHost) return 'Host';
+        return this.isCoHost() ? 'Co-host' : 'Client';
+    }
+    
+    // Whether this user may play, pause, seek and change speed under the room's control policy
+    canControl() {
+        const { controlPolicy, controllers } = this.settings;
+        
+        return this.isHost ||
+            this.isCoHost() ||
+            controlPolicy === 'everyone' ||
+            (controlPolicy === 'list' && Boolean(controllers && controllers[this.userId]));
     }
     
     async play() {
-        if (!this.isHost) return;
+        if (!this.canControl()) return;
         
+        this.heldForBuffering = false;
         await this.videoPlayer.play();
         await this.updateRoomState({
             playing: true,
-            time: this.videoPlayer.getCurrentTime()
+            time: this.videoPlayer.getCurrentTime(),
+            lastAction: 'play'
         });
     }
     
     async pause() {
-        if (!this.isHost) return;
+        if (!this.canControl()) return;
         
+        this.heldForBuffering = false;
         await this.videoPlayer.pause();
         await this.updateRoomState({
             playing: false,
-            time: this.videoPlayer.getCurrentTime()
+            time: this.videoPlayer.getCurrentTime(),
+            lastAction: 'pause'
         });
     }
     
-    async seek(time) {
+    async setRate(rate) {
+        if (!this.canControl()) return;
+        
+        const applied = await this.videoPlayer.setPlaybackRate(rate);
+        if (!applied) {
+            showToast(`This player doesn't support ${rate}x speed`, 'warning');
+            this.updateSpeedSelect();
+            return;
+        }
+        
+        // Re-anchor time so viewers extrapolate from the moment the speed changed
+        await this.updateRoomState({
+            rate,
+            time: this.videoPlayer.getCurrentTime(),
+            playing: this.videoPlayer.isPlaying(),
+            lastAction: 'rate'
+        });
+    }
+    
+    getRoomRate() {
+        return this.currentState.rate || 1;
+    }
+    
+    async applyRoomRate() {
+        if (this.isNudging || this.videoPlayer.getPlaybackRate() === this.getRoomRate()) return;
+        
+        const applied = await this.videoPlayer.setPlaybackRate(this.getRoomRate());
+        if (!applied && this.unsupportedRate !== this.getRoomRate()) {
+            // Only warn once per speed
+            this.unsupportedRate = this.getRoomRate();
+            showToast(`Your player can't play at ${this.getRoomRate()}x, sync may drift`, 'warning');
+        }
+    }
+    
+    // Resolves to whether the settings were saved
+    async updateSettings(updates) {
+        if (!this.isHost) return false;
+        
+        const { ref, update } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        try {
+            await update(ref(this.db, `rooms/${this.roomId}/settings`), updates);
+            return true;
+        } catch (error) {
+            console.error('Failed to update room settings:', error);
+            showToast('Failed to update room settings', 'error');
+            this.updateSettingsUI();
+            return false;
+        }
+    }
+    
+    handleBuffering(buffering) {
+        clearTimeout(this.bufferingTimeout);
+        
+        if (!buffering) {
+            this.presenceManager.setBuffering(false);
+            return;
+        }
+        
+        // Short stalls (e.g. right after a seek) shouldn't hold up the room
+        this.bufferingTimeout = setTimeout(() => {
+            this.presenceManager.setBuffering(true);
+        }, 1000);
+    }
+    
+    // Host pauses the room while anyone is buffering and resumes once everyone is ready
+    async checkBuffering() {
+        if (!this.isHost || !this.videoPlayer.isReady()) return;
+        
+        const waiting = this.settings.waitForEveryone && this.presenceManager.getBufferingUsers().length > 0;
+        
+        if (waiting && this.currentState.playing) {
+            await this.pause();
+            this.heldForBuffering = true;
+        } else if (!waiting && this.heldForBuffering) {
+            await this.play();
+            showToast('Everyone is ready, resuming', 'info', 2000);
+        }
+    }
+    
+    async startReadyCheck() {
         if (!this.isHost) return;
         
+        if (!this.videoPlayer.isReady()) {
+            showToast('Load a video before starting a ready check', 'warning');
+            return;
+        }
+        
+        if (this.videoPlayer.isPlaying()) {
+            await this.pause();
+        }
+        
+        await this.readyCheckManager.start();
+    }
+    
+    async startFromCountdown() {
+        if (!this.videoPlayer.isReady()) return;
+        
+        if (this.isHost) {
+            await this.play();
+            return;
+        }
+        
+        // Viewers start locally at the same instant rather than waiting for the host's update
+        await this.videoPlayer.seek(this.getRemoteTime());
+        await this.videoPlayer.play();
+    }
+    
+    async applyVoteAction(action) {
+        if (!this.isHost || !this.videoPlayer.isReady()) return;
+        
+        switch (action) {
+            case 'skip':
+                if (this.queueManager.hasNext()) {
+                    await this.playNextInQueue();
+                } else {
+                    await this.seek(this.videoPlayer.getDuration());
+                }
+                break;
+            case 'pause':
+                await this.pause();
+                break;
+            case 'rewind':
+                await this.seek(Math.max(0, this.videoPlayer.getCurrentTime() - 30));
+                break;
+        }
+    }
+    
+    async seek(time) {
+        if (!this.canControl()) return;
+        
         await this.videoPlayer.seek(time);
         await this.updateRoomState({
             time,
-            playing: this.videoPlayer.isPlaying()
+            playing: this.videoPlayer.isPlaying(),
+            lastAction: 'seek'
         });
     }
     
+    // Chat time chips move the room for anyone allowed to; others ask in chat
+    jumpToChatTime(url, time) {
+        if (url !== this.currentState.url) {
+            showToast('That message was sent during a different video', 'info');
+            return;
+        }
+        
+        if (this.canControl()) {
+            this.seek(time);
+        } else {
+            this.chatManager.requestSeek(url, time);
+        }
+    }
+    
     syncToRemoteState(force = false) {
-        if (this.isHost || !this.currentState.url || !this.videoPlayer.isReady()) return;
+        if (!this.currentState.url || !this.videoPlayer.isReady()) return;
+        
+        // Whoever made the last change is the reference everyone else follows, unless they ask to sync
+        const isLastActor = this.currentState.lastActorId
+            ? this.currentState.lastActorId === this.userId
+            : this.isHost;
+        if (isLastActor && !force) return;
         
-        const timeSinceUpdate = Date.now() - this.currentState.updatedAt;
+        const timeSinceUpdate = this.getServerTime() - this.currentState.updatedAt;
         if (timeSinceUpdate > 10000 && !force) return; // Ignore old updates
         
+        // Don't pause a countdown start before the host's play update arrives
+        if (this.readyCheckManager.isCountingDown() && !this.currentState.playing && !force) return;
+        
         this.isUpdatingFromRemote = true;
         
-        const remoteTime = this.currentState.time + (timeSinceUpdate / 1000);
+        const remoteTime = this.getRemoteTime();
         const localTime = this.videoPlayer.getCurrentTime();
-        const drift = Math.abs(remoteTime - localTime);
+        const drift = remoteTime - localTime;
         
-        // Sync if drift is significant or forced
-        if (drift > 0.4 || force) {
-            this.videoPlayer.seek(remoteTime);
-            
-            if (force) {
-                showToast('Synced with host', 'success');
-            }
+        this.applyRoomRate();
+        
+        // While the room waits on us, don't yank our player forward
+        if (!this.settings.waitForEveryone || !this.presenceManager.buffering || force) {
+            this.correctDrift(drift, force);
+        }
+        
+        if (force) {
+            showToast('Synced with host', 'success');
         }
         
         // Sync play/pause state
@@ -473,10 +1454,63 @@ class RoomManager {
         }
     }
     
+    async correctDrift(drift, force = false) {
+        const { mode, nudgeThreshold, hardSeekThreshold, seekThreshold, maxRateAdjustment } = this.driftConfig;
+        const absDrift = Math.abs(drift);
+        const canNudge = mode === 'nudge' && this.currentState.playing && !force;
+        
+        // Large gaps (or forced syncs) are always fixed with a seek
+        if (force || absDrift > (canNudge ? hardSeekThreshold : seekThreshold)) {
+            this.stopNudging();
+            this.lastCorrection = 'seek';
+            await this.videoPlayer.seek(this.getRemoteTime());
+            return;
+        }
+        
+        if (!canNudge || absDrift <= nudgeThreshold) {
+            this.stopNudging();
+            this.lastCorrection = 'none';
+            return;
+        }
+        
+        // Speed up when behind, slow down when ahead, relative to the room's speed
+        const roomRate = this.getRoomRate();
+        const rate = roomRate * (1 + Math.sign(drift) * maxRateAdjustment);
+        const applied = await this.videoPlayer.setPlaybackRate(rate);
+        
+        if (!applied) {
+            // Backend can't play at fine-grained rates (e.g. YouTube), fall back to seeking
+            this.lastCorrection = absDrift > seekThreshold ? 'seek' : 'none';
+            if (absDrift > seekThreshold) {
+                await this.videoPlayer.seek(this.getRemoteTime());
+            }
+            return;
+        }
+        
+        this.isNudging = true;
+        this.lastCorrection = `nudge ${rate.toFixed(2)}x`;
+        
+        // Restore the room's speed once the drift should have been absorbed
+        clearTimeout(this.nudgeTimeout);
+        this.nudgeTimeout = setTimeout(() => {
+            this.stopNudging();
+        }, (absDrift / (roomRate * maxRateAdjustment)) * 1000);
+    }
+    
+    stopNudging() {
+        clearTimeout(this.nudgeTimeout);
+        this.nudgeTimeout = null;
+        
+        if (this.isNudging) {
+            this.isNudging = false;
+            this.videoPlayer.setPlaybackRate(this.getRoomRate());
+        }
+    }
+    
     startSyncInterval() {
         this.syncInterval = setInterval(() => {
             this.syncToRemoteState();
-            this.updateVideoProgress();
+            this.recordProgress();
         }, 5000);
     }
     
@@ -488,9 +1522,13 @@ class RoomManager {
         document.getElementById('seek-slider').disabled = false;
         document.getElementById('mute-btn').disabled = false;
         document.getElementById('volume-slider').disabled = false;
+        document.getElementById('pip-btn').disabled = !this.pipManager.isSupported();
+        this.updateSpeedSelect();
         
         // Update duration display
         document.getElementById('duration').textContent = this.formatTime(duration);
+        this.bookmarkManager.renderMarkers();
+        this.reactionManager.renderHeatmap();
     }
     
     updateVideoProgress() {
@@ -502,9 +1540,13 @@ class RoomManager {
         // Update time display
         document.getElementById('current-time').textContent = this.formatTime(currentTime);
         
-        // Update seek slider
+        // Update seek slider, unless it is being dragged
         const progress = duration ? (currentTime / duration) * 100 : 0;
-        document.getElementById('seek-slider').value = progress;
+        if (!this.isDraggingSeek) {
+            document.getElementById('seek-slider').value = progress;
+        }
+        this.bookmarkManager.refreshMarkers();
+        this.reactionManager.refreshHeatmap();
     }
     
     updatePlayPauseButton(playing) {
@@ -512,6 +1554,245 @@ class RoomManager {
         icon.textContent = playing ? '⏸️' : '▶️';
     }
     
+    updateSpeedSelect() {
+        const speedSelect = document.getElementById('speed-select');
+        speedSelect.value = String(this.getRoomRate());
+        speedSelect.disabled = !this.canControl() || !this.videoPlayer.isReady();
+    }
+    
+    updateSettingsUI() {
+        const waitToggle = document.getElementById('wait-for-everyone-toggle');
+        waitToggle.checked = this.settings.waitForEveryone;
+        waitToggle.disabled = !this.isHost;
+        
+        const thresholdSelect = document.getElementById('vote-threshold-select');
+        thresholdSelect.value = String(this.settings.voteThreshold);
+        thresholdSelect.disabled = !this.isHost;
+        
+        const policySelect = document.getElementById('control-policy-select');
+        policySelect.value = this.settings.controlPolicy;
+        policySelect.disabled = !this.isHost;
+        
+        this.updateControllersList();
+        this.updateViewerList();
+        this.updateSpeedSelect();
+        this.updateBufferingStatus();
+    }
+    
+    // Host's list of viewers to hand hosting to, make co-hosts or moderate, then anyone banned
+    updateViewerList() {
+        const viewerList = document.getElementById('viewer-list');
+        
+        if (!this.isHost) {
+            viewerList.innerHTML = '';
+            return;
+        }
+        
+        const viewers = this.presenceManager.getOnlineUsers()
+            .filter(user => user.userId !== this.userId);
+        
+        const banned = this.moderationManager.getBannedUsers();
+        
+        if (viewers.length === 0 && banned.length === 0) {
+            viewerList.innerHTML = '<li class="controllers-empty">No other viewers yet</li>';
+            return;
+        }
+        
+        viewerList.innerHTML = viewers.map(user => {
+            const isCoHost = this.isCoHost(user.userId);
+            const isMuted = this.moderationManager.getMutedUntil(user.userId) > 0;
+            
+            return `
+                <li class="viewer-item" data-user-id="${escapeHtml(user.userId)}">
+                    <span class="viewer-name">${escapeHtml(user.name)}</span>
+                    ${isCoHost ? '<span class="viewer-role">Co-host</span>' : ''}
+                    ${isMuted ? '<span class="viewer-role">Muted</span>' : ''}
+                    <button class="chat-action-btn" data-action="cohost" title="${isCoHost ? 'Remove co-host' : 'Make co-host'}">${isCoHost ? '☆' : '⭐'}</button>
+                    <button class="chat-action-btn" data-action="host" title="Make host">👑</button>
+                    <button class="chat-action-btn" data-action="mute" title="${isMuted ? 'Unmute' : 'Mute in chat'}">${isMuted ? '🔊' : '🔇'}</button>
+                    <button class="chat-action-btn" data-action="kick" title="Kick">👢</button>
+                    <button class="chat-action-btn" data-action="ban" title="Ban">🚫</button>
+                </li>
+            `;
+        }).join('') + banned.map(user => `
+            <li class="viewer-item banned" data-user-id="${escapeHtml(user.userId)}">
+                <span class="viewer-name">${escapeHtml(user.name)}</span>
+                <span class="viewer-role">Banned</span>
+                <button class="chat-action-btn" data-action="unban" title="Unban">↩️</button>
+            </li>
+        `).join('');
+    }
+    
+    async transferHost(userId) {
+        const user = this.presenceManager.users.get(userId);
+        if (!this.isHost || !user) return;
+        
+        if (!confirm(`Make ${user.name} the host? You will lose host controls.`)) {
+            return;
+        }
+        
+        // The new host announces the handover once it has claimed the lease
+        try {
+            if (!await this.hostLeaseManager.transferTo(userId, user.name)) {
+                showToast('You are no longer the host', 'warning');
+            }
+        } catch (error) {
+            console.error('Failed to transfer host:', error);
+            showToast('Failed to transfer host', 'error');
+        }
+    }
+    
+    async toggleCoHost(userId) {
+        const user = this.presenceManager.users.get(userId);
+        if (!this.isHost || !user) return;
+        
+        const isCoHost = this.isCoHost(userId);
+        const saved = await this.updateSettings({
+            [`cohosts/${userId}`]: isCoHost ? null : user.name
+        });
+        if (!saved) return;
+        
+        this.chatManager.sendSystemMessage(isCoHost
+            ? `${this.userName} removed ${user.name} as co-host`
+            : `⭐ ${this.userName} made ${user.name} a co-host`);
+    }
+    
+    async toggleMute(userId) {
+        const user = this.presenceManager.users.get(userId);
+        if (!this.isHost || !user) return;
+        
+        if (this.moderationManager.getMutedUntil(userId)) {
+            if (await this.moderationManager.mute(userId, user.name, null)) {
+                this.chatManager.sendSystemMessage(`🔊 ${this.userName} unmuted ${user.name}`);
+            }
+            return;
+        }
+        
+        const minutes = parseFloat(prompt(`Mute ${user.name} in chat for how many minutes?`, '5'));
+        if (!(minutes > 0)) return;
+        
+        if (await this.moderationManager.mute(userId, user.name, minutes * 60000)) {
+            this.chatManager.sendSystemMessage(`🔇 ${this.userName} muted ${user.name} for ${minutes} min`);
+        }
+    }
+    
+    async kickViewer(userId) {
+        const user = this.presenceManager.users.get(userId);
+        if (!this.isHost || !user) return;
+        
+        if (!confirm(`Kick ${user.name} out of the room? They can rejoin.`)) {
+            return;
+        }
+        
+        if (await this.moderationManager.kick(userId)) {
+            this.chatManager.sendSystemMessage(`👢 ${this.userName} kicked ${user.name}`);
+        }
+    }
+    
+    async banViewer(userId) {
+        const user = this.presenceManager.users.get(userId);
+        if (!this.isHost || !user) return;
+        
+        if (!confirm(`Ban ${user.name}? They won't be able to rejoin this room.`)) {
+            return;
+        }
+        
+        if (await this.moderationManager.ban(userId, user.name)) {
+            this.chatManager.sendSystemMessage(`🚫 ${this.userName} banned ${user.name}`);
+        }
+    }
+    
+    async unbanViewer(userId) {
+        const user = this.moderationManager.getBannedUsers().find(banned => banned.userId === userId);
+        if (!this.isHost || !user) return;
+        
+        if (await this.moderationManager.unban(userId)) {
+            showToast(`${escapeHtml(user.name)} can rejoin the room`, 'success');
+        }
+    }
+    
+    // Sent away by the host: stop taking part at once, then back to the start page
+    leaveRoom(message) {
+        if (this.removedFromRoom) return;
+        this.removedFromRoom = true;
+        
+        showToast(message, 'error');
+        this.destroy();
+        setTimeout(() => window.location.href = 'index.html', 3000);
+    }
+    
+    // Host's checklist of viewers allowed to control playback
+    updateControllersList() {
+        const controllersList = document.getElementById('controllers-list');
+        const controllers = this.settings.controllers || {};
+        
+        if (!this.isHost || this.settings.controlPolicy !== 'list') {
+            controllersList.innerHTML = '';
+            controllersList.classList.add('hidden');
+            return;
+        }
+        
+        const viewers = this.presenceManager.getOnlineUsers()
+            .filter(user => user.userId !== this.userId);
+        
+        controllersList.innerHTML = viewers.length > 0 ? viewers.map(user => `
+            <li>
+                <label class="host-option">
+                    <input type="checkbox" data-user-id="${escapeHtml(user.userId)}" ${controllers[user.userId] ? 'checked' : ''}>
+                    ${escapeHtml(user.name)}
+                </label>
+            </li>
+        `).join('') : '<li class="controllers-empty">No other viewers yet</li>';
+        controllersList.classList.remove('hidden');
+    }
+    
+    showLocalFilePrompt(show) {
+        const prompt = document.getElementById('local-file-prompt');
+        const hostFile = this.currentState.localFile;
+        
+        document.getElementById('local-file-name').textContent = hostFile ? hostFile.name : 'a local file';
+        prompt.classList.toggle('hidden', !show);
+        
+        if (show) {
+            this.updateVideoPlaceholder(false);
+        }
+    }
+    
+    // List viewers whose local file differs from the host's
+    updateFileStatus() {
+        const status = document.getElementById('file-status');
+        const hostFile = this.currentState.localFile;
+        
+        const mismatched = hostFile
+            ? this.presenceManager.getOnlineUsers()
+                .filter(user => user.localFiles.some(localFile => !fingerprintsMatch(localFile, hostFile)))
+            : [];
+        
+        status.textContent = mismatched.length > 0
+            ? `⚠️ File differs for ${mismatched.map(user => user.name).join(', ')}`
+            : '';
+        status.classList.toggle('hidden', mismatched.length === 0);
+    }
+    
+    updateLastActionStatus() {
+        const status = document.getElementById('last-action-status');
+        const { lastAction, lastActorName } = this.currentState;
+        
+        status.textContent = lastAction && lastActorName ? `${ACTION_LABELS[lastAction]} ${lastActorName}` : '';
+        status.classList.toggle('hidden', !status.textContent);
+    }
+    
+    // Show who is holding the room up
+    updateBufferingStatus() {
+        const status = document.getElementById('buffering-status');
+        const bufferingUsers = this.settings.waitForEveryone ? this.presenceManager.getBufferingUsers() : [];
+        
+        status.textContent = bufferingUsers.length > 0
+            ? `⏳ Waiting for ${bufferingUsers.map(user => user.name).join(', ')} to buffer...`
+            : '';
+        status.classList.toggle('hidden', bufferingUsers.length === 0);
+    }
+    
     updateMuteButton() {
         const icon = document.querySelector('#mute-btn .control-icon');
         icon.textContent = this.videoPlayer.isMuted() ? '🔇' : '🔊';
@@ -527,21 +1808,34 @@ class RoomManager {
     updateDebugInfo(drift = null) {
         if (!this.debugMode) return;
         
-        document.getElementById('debug-role').textContent = this.isHost ? 'Host' : 'Client';
+        document.getElementById('debug-role').textContent = this.getRoleLabel();
         document.getElementById('debug-local-time').textContent = 
             this.videoPlayer.isReady() ? this.formatTime(this.videoPlayer.getCurrentTime()) : '-';
         document.getElementById('debug-remote-time').textContent = 
-            this.currentState.url ? this.formatTime(this.currentState.time) : '-';
+            this.currentState.url ? this.formatTime(this.getRemoteTime()) : '-';
+        document.getElementById('debug-clock-offset').textContent = 
+            `${Math.round(this.serverTimeOffset)}ms`;
         document.getElementById('debug-drift').textContent = 
-            drift !== null ? `${drift.toFixed(2)}s` : '-';
+            drift !== null ? `${drift > 0 ? '+' : ''}${drift.toFixed(2)}s` : '-';
+        
+        const { mode, nudgeThreshold, hardSeekThreshold, seekThreshold, maxRateAdjustment } = this.driftConfig;
+        document.getElementById('debug-sync-mode').textContent = mode === 'nudge'
+            ? `nudge ±${maxRateAdjustment * 100}% (>${nudgeThreshold}s), seek >${hardSeekThreshold}s`
+            : `seek >${seekThreshold}s`;
+        document.getElementById('debug-correction').textContent = this.lastCorrection;
+        document.getElementById('debug-rate').textContent = 
+            `${this.videoPlayer.getPlaybackRate()}x (room ${this.getRoomRate()}x)`;
         document.getElementById('debug-status').textContent = 
             this.videoPlayer.isReady() ? (this.videoPlayer.isPlaying() ? 'Playing' : 'Paused') : 'No video';
+        
+        const { count, coalesced, lastLatency, totalLatency } = this.stateWrites;
+        document.getElementById('debug-writes').textContent = count > 0
+            ? `${count} sent, ${coalesced} coalesced, ${lastLatency}ms (avg ${Math.round(totalLatency / count)}ms)`
+            : `none (${coalesced} coalesced)`;
     }
     
     formatTime(seconds) {
-        const minutes = Math.floor(seconds / 60);
-        const remainingSeconds = Math.floor(seconds % 60);
-        return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+        return formatTime(seconds);
     }
     
     destroy() {
@@ -549,6 +1843,20 @@ class RoomManager {
             clearInterval(this.syncInterval);
         }
         
+        // Stop following the room before anything else is torn down
+        this.unsubscribes.forEach(unsubscribe => unsubscribe());
+        this.unsubscribes = [];
+        
+        clearTimeout(this.nudgeTimeout);
+        clearTimeout(this.bufferingTimeout);
+        
+        // Don't drop the last change on the way out
+        clearTimeout(this.stateWrites.timeout);
+        this.stateWrites.timeout = null;
+        if (!this.stateWrites.inFlight) {
+            this.flushStateWrite();
+        }
+        
         if (this.videoPlayer) {
             this.videoPlayer.destroy();
         }
@@ -560,6 +1868,46 @@ class RoomManager {
         if (this.presenceManager) {
             this.presenceManager.destroy();
         }
+        
+        if (this.hostLeaseManager) {
+            this.hostLeaseManager.destroy();
+        }
+        
+        if (this.moderationManager) {
+            this.moderationManager.destroy();
+        }
+        
+        if (this.queueManager) {
+            this.queueManager.destroy();
+        }
+        
+        if (this.subtitleManager) {
+            this.subtitleManager.destroy();
+        }
+        
+        if (this.readyCheckManager) {
+            this.readyCheckManager.destroy();
+        }
+        
+        if (this.voteManager) {
+            this.voteManager.destroy();
+        }
+        
+        if (this.peerStreamManager) {
+            this.peerStreamManager.destroy();
+        }
+        
+        if (this.bookmarkManager) {
+            this.bookmarkManager.destroy();
+        }
+        
+        if (this.reactionManager) {
+            this.reactionManager.destroy();
+        }
+        
+        if (this.pipManager) {
+            this.pipManager.destroy();
+        }
     }
 }
 
@@ -0,0 +1,403 @@
+// Room subtitle tracks (WebVTT/SRT) and the player's own caption tracks
+import { showToast, escapeHtml } from './app.js';
+
+// Convert SRT to WebVTT: add the header and swap the millisecond separator
+export function srtToVtt(text) {
+    const body = text
+        .replace(/^\uFEFF/, '')
+        .replace(/\r/g, '')
+        .replace(/(\d{2}:\d{2}:\d{2}),(\d{3})/g, '$1.$2')
+        .trim();
+    return `WEBVTT\n\n${body}\n`;
+}
+
+export function toVtt(text) {
+    return text.replace(/^\uFEFF/, '').trimStart().startsWith('WEBVTT') ? text : srtToVtt(text);
+}
+
+function parseTimestamp(timestamp) {
+    // hh:mm:ss.ttt or mm:ss.ttt
+    return timestamp
+        .replace(',', '.')
+        .split(':')
+        .reduce((seconds, part) => seconds * 60 + Number(part), 0);
+}
+
+export function parseVtt(text) {
+    const cues = [];
+    const blocks = text.replace(/\r/g, '').split(/\n{2,}/);
+    
+    blocks.forEach(block => {
+        const lines = block.split('\n');
+        const timingIndex = lines.findIndex(line => line.includes('-->'));
+        if (timingIndex === -1) return;
+        
+        const [start, end] = lines[timingIndex]
+            .split('-->')
+            .map(part => parseTimestamp(part.trim().split(/\s+/)[0]));
+        
+        if (isNaN(start) || isNaN(end)) return;
+        
+        cues.push({
+            start,
+            end,
+            // Drop styling tags like <i> and <c.yellow>
+            text: lines.slice(timingIndex + 1).join('\n').replace(/<[^>]+>/g, '').trim()
+        });
+    });
+    
+    return cues;
+}
+
+export class SubtitleManager {
+    constructor(db, roomId, videoPlayer) {
+        this.db = db;
+        this.roomId = roomId;
+        this.videoPlayer = videoPlayer;
+        this.isHost = false;
+        
+        // Tracks shared through room state, keyed by track id
+        this.roomTracks = {};
+        // Caption tracks provided by the player itself (YouTube, Vimeo)
+        this.playerTracks = [];
+        
+        // Locally selected track: 'off', 'room:<id>' or 'player:<id>'
+        this.selectedTrack = 'off';
+        this.activeCues = [];
+        this.renderInterval = null;
+        
+        // Max size of an uploaded subtitle file
+        this.maxFileSize = 512 * 1024;
+        
+        this.onTracksChangeCallback = null;
+        
+        this.setupEventListeners();
+    }
+    
+    setupEventListeners() {
+        document.getElementById('subtitle-select').addEventListener('change', (e) => {
+            this.selectTrack(e.target.value);
+        });
+        
+        // Host controls
+        document.getElementById('add-subtitle-btn').addEventListener('click', () => {
+            this.addTrackFromInput();
+        });
+        
+        document.getElementById('subtitle-file-input').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.addTrackFromFile(file);
+            }
+            e.target.value = '';
+        });
+        
+        document.getElementById('subtitle-track-list').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-track-id]');
+            if (button) {
+                this.removeTrack(button.dataset.trackId);
+            }
+        });
+    }
+    
+    // Called with the subtitles field of every room state update
+    setRoomTracks(tracks) {
+        tracks = tracks || {};
+        if (JSON.stringify(tracks) === JSON.stringify(this.roomTracks)) return;
+        
+        this.roomTracks = tracks;
+        
+        // Drop the selection if its track was removed
+        if (this.selectedTrack.startsWith('room:') && !tracks[this.selectedTrack.slice(5)]) {
+            this.selectTrack('off');
+        } else if (this.selectedTrack === 'off') {
+            this.selectPreferredTrack();
+        }
+        
+        this.render();
+    }
+    
+    async refreshPlayerTracks() {
+        try {
+            this.playerTracks = await this.videoPlayer.getTextTracks();
+        } catch (error) {
+            this.playerTracks = [];
+        }
+        
+        if (!this.selectedTrack.startsWith('player:')) {
+            // Players may switch their own captions on when they load
+            await this.videoPlayer.setTextTrack(null);
+        }
+        
+        if (this.selectedTrack === 'off') {
+            this.selectPreferredTrack();
+        }
+        
+        this.render();
+    }
+    
+    // Pick the track matching the language this viewer chose last time
+    selectPreferredTrack() {
+        const preferred = localStorage.getItem('subtitleLanguage');
+        if (!preferred) return;
+        
+        const roomTrack = Object.entries(this.roomTracks)
+            .find(([, track]) => track.label === preferred);
+        if (roomTrack) {
+            this.selectTrack(`room:${roomTrack[0]}`, false);
+            return;
+        }
+        
+        const playerTrack = this.playerTracks.find(track => track.language === preferred);
+        if (playerTrack) {
+            this.selectTrack(`player:${playerTrack.id}`, false);
+        }
+    }
+    
+    async selectTrack(value, remember = true) {
+        this.selectedTrack = value;
+        this.stopRendering();
+        
+        if (value.startsWith('player:')) {
+            const track = this.playerTracks.find(track => track.id === value.slice(7));
+            await this.videoPlayer.setTextTrack(value.slice(7));
+            if (remember && track) {
+                localStorage.setItem('subtitleLanguage', track.language);
+            }
+        } else {
+            await this.videoPlayer.setTextTrack(null);
+        }
+        
+        if (value.startsWith('room:')) {
+            const trackId = value.slice(5);
+            const track = this.roomTracks[trackId];
+            
+            try {
+                const text = await this.loadTrackText(trackId, track);
+                
+                // Selection changed while the file was loading
+                if (this.selectedTrack !== value) return;
+                
+                this.activeCues = parseVtt(toVtt(text));
+                this.startRendering();
+            } catch (error) {
+                console.error('Failed to load subtitles:', error);
+                showToast('Failed to load subtitles', 'error');
+                this.selectedTrack = 'off';
+            }
+            
+            if (remember && track) {
+                localStorage.setItem('subtitleLanguage', track.label);
+            }
+        }
+        
+        if (value === 'off' && remember) {
+            localStorage.removeItem('subtitleLanguage');
+        }
+        
+        this.render();
+    }
+    
+    async loadTrackText(trackId, track) {
+        if (track.url) {
+            const response = await fetch(track.url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return response.text();
+        }
+        
+        const { ref, get } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        const snapshot = await get(ref(this.db, `rooms/${this.roomId}/subtitleFiles/${trackId}`));
+        
+        if (!snapshot.exists()) {
+            throw new Error('Subtitle file not found');
+        }
+        return snapshot.val().vtt;
+    }
+    
+    startRendering() {
+        const overlay = document.getElementById('subtitle-overlay');
+        let lastText = null;
+        
+        this.renderInterval = setInterval(() => {
+            const time = this.videoPlayer.getCurrentTime();
+            const text = this.activeCues
+                .filter(cue => time >= cue.start && time <= cue.end)
+                .map(cue => cue.text)
+                .join('\n');
+            
+            if (text !== lastText) {
+                overlay.textContent = text;
+                overlay.classList.toggle('hidden', !text);
+                lastText = text;
+            }
+        }, 250);
+    }
+    
+    stopRendering() {
+        clearInterval(this.renderInterval);
+        this.renderInterval = null;
+        this.activeCues = [];
+        
+        const overlay = document.getElementById('subtitle-overlay');
+        overlay.textContent = '';
+        overlay.classList.add('hidden');
+    }
+    
+    addTrackFromInput() {
+        if (!this.isHost) return;
+        
+        const urlInput = document.getElementById('subtitle-url-input');
+        const url = urlInput.value.trim();
+        
+        if (!url) {
+            showToast('Please enter a subtitle URL or upload a file', 'error');
+            return;
+        }
+        
+        try {
+            new URL(url);
+        } catch (error) {
+            showToast('Invalid subtitle URL', 'error');
+            return;
+        }
+        
+        // File name from the URL, as typed if it isn't valid percent-encoding
+        let fileName = url.split('/').pop().split('?')[0];
+        try {
+            fileName = decodeURIComponent(fileName);
+        } catch (error) {
+            // Keep the raw name
+        }
+        
+        this.addTrack({
+            label: this.getLabelInput(fileName),
+            url
+        });
+        urlInput.value = '';
+    }
+    
+    async addTrackFromFile(file) {
+        if (!this.isHost) return;
+        
+        if (!/\.(vtt|srt)$/i.test(file.name)) {
+            showToast('Subtitles must be a .vtt or .srt file', 'error');
+            return;
+        }
+        
+        if (file.size > this.maxFileSize) {
+            showToast('Subtitle file is too large (max 512 KB)', 'error');
+            return;
+        }
+        
+        const vtt = toVtt(await file.text());
+        if (parseVtt(vtt).length === 0) {
+            showToast('No subtitles found in that file', 'error');
+            return;
+        }
+        
+        const { ref, push, set } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        try {
+            const fileRef = push(ref(this.db, `rooms/${this.roomId}/subtitleFiles`));
+            await set(fileRef, { vtt });
+            
+            this.addTrack({ label: this.getLabelInput(file.name) }, fileRef.key);
+        } catch (error) {
+            console.error('Failed to upload subtitles:', error);
+            showToast('Failed to upload subtitles', 'error');
+        }
+    }
+    
+    getLabelInput(fallback) {
+        const labelInput = document.getElementById('subtitle-label-input');
+        const label = labelInput.value.trim() || fallback;
+        labelInput.value = '';
+        return label;
+    }
+    
+    addTrack(track, trackId = `track_${Date.now().toString(36)}`) {
+        const tracks = { ...this.roomTracks, [trackId]: track };
+        
+        if (this.onTracksChangeCallback) {
+            this.onTracksChangeCallback(tracks);
+        }
+        showToast(`Subtitles added: ${escapeHtml(track.label)}`, 'success');
+    }
+    
+    async removeTrack(trackId) {
+        if (!this.isHost) return;
+        
+        const tracks = { ...this.roomTracks };
+        delete tracks[trackId];
+        
+        if (this.onTracksChangeCallback) {
+            this.onTracksChangeCallback(tracks);
+        }
+        
+        const { ref, remove } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        remove(ref(this.db, `rooms/${this.roomId}/subtitleFiles/${trackId}`)).catch(() => {});
+    }
+    
+    // Uploaded files belong to the current video, drop them when it changes
+    async clearTracks() {
+        if (!this.isHost) return;
+        
+        const { ref, remove } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        try {
+            await remove(ref(this.db, `rooms/${this.roomId}/subtitleFiles`));
+        } catch (error) {
+            console.error('Failed to clear subtitle files:', error);
+        }
+    }
+    
+    resetPlayerTracks() {
+        this.playerTracks = [];
+        if (this.selectedTrack.startsWith('player:')) {
+            this.selectedTrack = 'off';
+        }
+        this.render();
+    }
+    
+    render() {
+        const select = document.getElementById('subtitle-select');
+        const roomEntries = Object.entries(this.roomTracks);
+        
+        select.innerHTML = `
+            <option value="off">CC Off</option>
+            ${roomEntries.map(([trackId, track]) => `
+                <option value="room:${escapeHtml(trackId)}">${escapeHtml(track.label)}</option>
+            `).join('')}
+            ${this.playerTracks.map(track => `
+                <option value="player:${escapeHtml(track.id)}">${escapeHtml(track.label)} (player)</option>
+            `).join('')}
+        `;
+        select.value = this.selectedTrack;
+        select.disabled = roomEntries.length === 0 && this.playerTracks.length === 0;
+        
+        // Host's list of shared tracks
+        const trackList = document.getElementById('subtitle-track-list');
+        trackList.innerHTML = this.isHost ? roomEntries.map(([trackId, track]) => `
+            <li class="subtitle-track">
+                <span>${escapeHtml(track.label)}${track.url ? '' : ' (uploaded)'}</span>
+                <button class="chat-action-btn" data-track-id="${escapeHtml(trackId)}" title="Remove">✕</button>
+            </li>
+        `).join('') : '';
+    }
+    
+    setHost(isHost) {
+        this.isHost = isHost;
+        this.render();
+    }
+    
+    onTracksChange(callback) {
+        this.onTracksChangeCallback = callback;
+    }
+    
+    destroy() {
+        this.stopRendering();
+        this.onTracksChangeCallback = null;
+    }
+}
@@ -1,426 +1,317 @@
-// Video player abstraction supporting YouTube, Vimeo, and HTML5 video
+// Video player abstraction over pluggable player adapters
+import { YouTubeAdapter } from './adapters/youtube.js';
+import { VimeoAdapter } from './adapters/vimeo.js';
+import { HLSAdapter, DASHAdapter } from './adapters/stream.js';
+import { MediaAdapter } from './adapters/media.js';
+import { LocalFileAdapter } from './adapters/local.js';
+import { WebRTCAdapter } from './adapters/webrtc.js';
+
+// Registered adapters by type, matched against URLs in registration order
+const adapters = new Map();
+
 export class VideoPlayer {
+    // Adapters are PlayerAdapter subclasses (see adapters/base.js)
+    static registerAdapter(type, adapter) {
+        adapters.set(type, adapter);
+    }
+    
+    static getAdapter(type) {
+        return adapters.get(type) || null;
+    }
+    
+    // Find the adapter for a URL by name alone
+    static matchUrl(url) {
+        for (const [type, adapter] of adapters) {
+            const matchedUrl = adapter.matchUrl(url);
+            if (matchedUrl) {
+                return { type, url: matchedUrl };
+            }
+        }
+        return null;
+    }
+    
+    // Like matchUrl, but falls back to each adapter's network probe
+    static async resolveUrl(url) {
+        const match = VideoPlayer.matchUrl(url);
+        if (match) return match;
+        
+        try {
+            new URL(url);
+        } catch (error) {
+            return null;
+        }
+        
+        for (const [type, adapter] of adapters) {
+            const probedUrl = await adapter.probeUrl(url);
+            if (probedUrl) {
+                return { type, url: probedUrl };
+            }
+        }
+        return null;
+    }
+    
     constructor() {
-        this.player = null;
+        this.adapter = null;
         this.type = null;
         this.isReady_ = false;
         this.callbacks = {};
         this.container = document.getElementById('video-player');
         
         // State tracking
-        this.currentTime = 0;
-        this.duration = 0;
-        this.playing = false;
         this.muted = false;
         this.volume = 0.5;
-    }
-    
-    async loadVideo(type, url, callbacks = {}) {
-        this.callbacks = callbacks;
-        this.type = type;
-        this.isReady_ = false;
+        this.playbackRate = 1;
         
-        // Clear existing player
-        if (this.player && this.player.destroy) {
-            this.player.destroy();
-        }
-        this.container.innerHTML = '';
+        // { getCurrentTime, getDuration } reported for live sources, which have no timeline of their own
+        this.liveTimeline = null;
         
-        switch (type) {
-            case 'youtube':
-                await this.loadYouTubeVideo(url);
-                break;
-            case 'vimeo':
-                await this.loadVimeoVideo(url);
-                break;
-            case 'mp4':
-                await this.loadMP4Video(url);
-                break;
-            default:
-                throw new Error(`Unsupported video type: ${type}`);
-        }
-    }
-    
-    async loadYouTubeVideo(url) {
-        const videoId = this.extractYouTubeId(url);
-        if (!videoId) {
-            throw new Error('Invalid YouTube URL');
-        }
+        // Time tracking: a few ticks a second while a video is loaded and the tab is visible
+        this.trackingDelay = 250;
+        this.trackingTimeout = null;
+        this.lastTracked = null;
         
-        return new Promise((resolve, reject) => {
-            // Wait for YouTube API to be ready
-            const checkAPI = () => {
-                if (window.YT && window.YT.Player) {
-                    this.initYouTubePlayer(videoId, resolve, reject);
-                } else {
-                    setTimeout(checkAPI, 100);
-                }
-            };
-            checkAPI();
-        });
-    }
-    
-    initYouTubePlayer(videoId, resolve, reject) {
-        const playerDiv = document.createElement('div');
-        playerDiv.id = 'youtube-player';
-        this.container.appendChild(playerDiv);
+        // Seeks we made ourselves, and buffering that can make the player jump on its own
+        this.pendingSeek = null;
+        this.buffering = false;
+        this.bufferingEndedAt = 0;
+        this.bufferingGrace = 1000;
         
-        this.player = new YT.Player('youtube-player', {
-            height: '100%',
-            width: '100%',
-            videoId: videoId,
-            playerVars: {
-                controls: 0,
-                modestbranding: 1,
-                rel: 0,
-                showinfo: 0
-            },
-            events: {
-                onReady: (event) => {
-                    this.isReady_ = true;
-                    this.duration = this.player.getDuration();
-                    this.player.setVolume(this.volume * 100);
-                    
-                    if (this.callbacks.onReady) {
-                        this.callbacks.onReady();
-                    }
-                    resolve();
-                },
-                onStateChange: (event) => {
-                    const state = event.data;
-                    
-                    if (state === YT.PlayerState.PLAYING) {
-                        this.playing = true;
-                        if (this.callbacks.onPlay) {
-                            this.callbacks.onPlay();
-                        }
-                    } else if (state === YT.PlayerState.PAUSED) {
-                        this.playing = false;
-                        if (this.callbacks.onPause) {
-                            this.callbacks.onPause();
-                        }
-                    }
-                },
-                onError: (event) => {
-                    reject(new Error(`YouTube error: ${event.data}`));
-                }
+        // Browsers throttle hidden tabs anyway; pick up again from wherever the video is
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.stopTimeTracking();
+            } else {
+                this.startTimeTracking();
             }
         });
-        
-        // Track seeking
-        this.startTimeTracking();
     }
     
-    async loadVimeoVideo(url) {
-        const videoId = this.extractVimeoId(url);
-        if (!videoId) {
-            throw new Error('Invalid Vimeo URL');
+    async loadVideo(type, url, callbacks = {}) {
+        const Adapter = VideoPlayer.getAdapter(type);
+        if (!Adapter) {
+            throw new Error(`Unsupported video type: ${type}`);
         }
         
-        return new Promise((resolve, reject) => {
-            // Wait for Vimeo API to be ready
-            const checkAPI = () => {
-                if (window.Vimeo && window.Vimeo.Player) {
-                    this.initVimeoPlayer(videoId, resolve, reject);
-                } else {
-                    setTimeout(checkAPI, 100);
-                }
-            };
-            checkAPI();
-        });
-    }
-    
-    initVimeoPlayer(videoId, resolve, reject) {
-        const iframe = document.createElement('iframe');
-        iframe.src = `https://player.vimeo.com/video/${videoId}?background=1&controls=0`;
-        iframe.width = '100%';
-        iframe.height = '100%';
-        iframe.style.border = 'none';
-        
-        this.container.appendChild(iframe);
+        // Clear existing player
+        this.destroy();
         
-        this.player = new Vimeo.Player(iframe);
+        this.callbacks = callbacks;
+        this.type = type;
+        this.url = url;
+        this.playbackRate = 1;
         
-        this.player.ready().then(() => {
-            this.isReady_ = true;
-            
-            return Promise.all([
-                this.player.getDuration(),
-                this.player.setVolume(this.volume)
-            ]);
-        }).then(([duration]) => {
-            this.duration = duration;
-            
-            if (this.callbacks.onReady) {
-                this.callbacks.onReady();
+        // Events from an adapter are ignored once it has been replaced
+        let adapter = null;
+        const emit = (name) => (...args) => {
+            if (adapter && this.adapter === adapter && this.callbacks[name]) {
+                this.callbacks[name](...args);
             }
-            resolve();
-        }).catch(reject);
+        };
         
-        // Set up event listeners
-        this.player.on('play', () => {
-            this.playing = true;
-            if (this.callbacks.onPlay) {
-                this.callbacks.onPlay();
-            }
+        adapter = new Adapter(this.container, {
+            onPlay: emit('onPlay'),
+            onPause: emit('onPause'),
+            onEnded: emit('onEnded'),
+            onSeek: (time) => {
+                if (this.adapter === adapter) {
+                    this.handleSeek(time);
+                }
+            },
+            onBuffering: (buffering) => {
+                if (this.adapter === adapter) {
+                    this.setBuffering(buffering);
+                }
+                emit('onBuffering')(buffering);
+            },
+            onTextTracksChange: emit('onTextTracksChange')
         });
+        this.adapter = adapter;
         
-        this.player.on('pause', () => {
-            this.playing = false;
-            if (this.callbacks.onPause) {
-                this.callbacks.onPause();
-            }
-        });
+        await adapter.load(url);
         
-        this.player.on('seeked', (data) => {
-            if (this.callbacks.onSeek) {
-                this.callbacks.onSeek(data.seconds);
-            }
-        });
+        // Another video was loaded while this one was starting up
+        if (this.adapter !== adapter) return;
         
-        this.player.on('error', (error) => {
-            reject(error);
-        });
+        this.isReady_ = true;
+        await adapter.setVolume(this.volume);
+        this.startTimeTracking();
+        
+        if (this.callbacks.onReady) {
+            this.callbacks.onReady();
+        }
     }
     
-    async loadMP4Video(url) {
-        return new Promise((resolve, reject) => {
-            const video = document.createElement('video');
-            video.src = url;
-            video.style.width = '100%';
-            video.style.height = '100%';
-            video.style.backgroundColor = '#000';
-            video.preload = 'metadata';
-            
-            video.addEventListener('loadedmetadata', () => {
-                this.isReady_ = true;
-                this.duration = video.duration;
-                video.volume = this.volume;
-                
-                if (this.callbacks.onReady) {
-                    this.callbacks.onReady();
-                }
-                resolve();
-            });
-            
-            video.addEventListener('play', () => {
-                this.playing = true;
-                if (this.callbacks.onPlay) {
-                    this.callbacks.onPlay();
-                }
-            });
-            
-            video.addEventListener('pause', () => {
-                this.playing = false;
-                if (this.callbacks.onPause) {
-                    this.callbacks.onPause();
-                }
-            });
-            
-            video.addEventListener('seeked', () => {
-                if (this.callbacks.onSeek) {
-                    this.callbacks.onSeek(video.currentTime);
-                }
-            });
-            
-            video.addEventListener('error', () => {
-                reject(new Error('Failed to load video'));
-            });
-            
-            this.player = video;
-            this.container.appendChild(video);
-        });
+    async play() {
+        if (!this.isReady_) return;
+        await this.adapter.play();
     }
     
-    extractYouTubeId(url) {
-        const patterns = [
-            /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([^&\n?#]+)/,
-            /youtube\.com\/v\/([^&\n?#]+)/
-        ];
-        
-        for (const pattern of patterns) {
-            const match = url.match(pattern);
-            if (match) {
-                return match[1];
-            }
-        }
-        return null;
+    async pause() {
+        if (!this.isReady_) return;
+        await this.adapter.pause();
     }
     
-    extractVimeoId(url) {
-        const match = url.match(/vimeo\.com\/(?:video\/)?(\d+)/);
-        return match ? match[1] : null;
+    async seek(time) {
+        if (!this.isReady_) return;
+        
+        // Our own seek, already reported by whoever asked for it
+        this.pendingSeek = { time, at: Date.now() };
+        this.lastTracked = null;
+        await this.adapter.seek(time);
     }
     
     startTimeTracking() {
-        if (this.type === 'youtube') {
-            // YouTube doesn't have a seeked event, so we track time changes
-            let lastTime = 0;
-            const trackTime = () => {
-                if (this.isReady_ && this.player) {
-                    const currentTime = this.player.getCurrentTime();
-                    
-                    if (Math.abs(currentTime - lastTime) > 1 && this.callbacks.onSeek) {
-                        this.callbacks.onSeek(currentTime);
-                    }
-                    
-                    lastTime = currentTime;
-                    this.currentTime = currentTime;
-                }
-                
-                if (this.type === 'youtube') {
-                    requestAnimationFrame(trackTime);
-                }
-            };
-            trackTime();
-        }
+        this.stopTimeTracking();
+        if (!this.isReady_ || document.hidden) return;
+        
+        const adapter = this.adapter;
+        const tick = () => {
+            if (this.adapter !== adapter || !this.isReady_) return;
+            
+            this.trackTime();
+            this.trackingTimeout = setTimeout(tick, this.trackingDelay);
+        };
+        tick();
     }
     
-    async play() {
-        if (!this.isReady_) return;
-        
-        switch (this.type) {
-            case 'youtube':
-                this.player.playVideo();
-                break;
-            case 'vimeo':
-                await this.player.play();
-                break;
-            case 'mp4':
-                await this.player.play();
-                break;
-        }
+    stopTimeTracking() {
+        clearTimeout(this.trackingTimeout);
+        this.trackingTimeout = null;
+        this.lastTracked = null;
     }
     
-    async pause() {
-        if (!this.isReady_) return;
+    trackTime() {
+        const time = this.getCurrentTime();
+        const now = Date.now();
+        
+        // Players without a seek event: a jump away from where playback should be is a seek
+        if (this.lastTracked && !this.adapter.hasSeekEvents() && !this.adapter.isLive()) {
+            const elapsed = (now - this.lastTracked.at) / 1000;
+            const expected = this.lastTracked.time +
+                (this.adapter.isPlaying() ? elapsed * this.adapter.getPlaybackRate() : 0);
+            
+            if (Math.abs(time - expected) > 1) {
+                this.handleSeek(time);
+            }
+        }
+        this.lastTracked = { time, at: now };
         
-        switch (this.type) {
-            case 'youtube':
-                this.player.pauseVideo();
-                break;
-            case 'vimeo':
-                await this.player.pause();
-                break;
-            case 'mp4':
-                this.player.pause();
-                break;
+        if (this.callbacks.onTimeUpdate) {
+            this.callbacks.onTimeUpdate(time);
         }
     }
     
-    async seek(time) {
-        if (!this.isReady_) return;
+    // Pass on seeks the user made, not ours and not the player skipping ahead after a stall
+    handleSeek(time) {
+        this.lastTracked = null;
         
-        switch (this.type) {
-            case 'youtube':
-                this.player.seekTo(time, true);
-                break;
-            case 'vimeo':
-                await this.player.setCurrentTime(time);
-                break;
-            case 'mp4':
-                this.player.currentTime = time;
-                break;
+        const pendingSeek = this.pendingSeek;
+        if (pendingSeek && Date.now() - pendingSeek.at < 2000 && Math.abs(time - pendingSeek.time) < 1) {
+            this.pendingSeek = null;
+            return;
         }
         
-        this.currentTime = time;
+        if (this.buffering || Date.now() - this.bufferingEndedAt < this.bufferingGrace) return;
+        
+        if (this.callbacks.onSeek) {
+            this.callbacks.onSeek(time);
+        }
+    }
+    
+    setBuffering(buffering) {
+        if (this.buffering && !buffering) {
+            this.bufferingEndedAt = Date.now();
+        }
+        this.buffering = buffering;
     }
     
     getCurrentTime() {
         if (!this.isReady_) return 0;
         
-        switch (this.type) {
-            case 'youtube':
-                return this.player.getCurrentTime() || 0;
-            case 'vimeo':
-                // Vimeo getCurrentTime is async, so we track it
-                return this.currentTime;
-            case 'mp4':
-                return this.player.currentTime || 0;
+        if (this.adapter.isLive() && this.liveTimeline) {
+            return this.liveTimeline.getCurrentTime();
         }
-        
-        return 0;
+        return this.adapter.getCurrentTime();
     }
     
     getDuration() {
-        return this.duration || 0;
+        if (!this.adapter) return 0;
+        
+        if (this.adapter.isLive() && this.liveTimeline) {
+            return this.liveTimeline.getDuration();
+        }
+        return this.adapter.getDuration();
     }
     
     isPlaying() {
         if (!this.isReady_) return false;
-        
-        switch (this.type) {
-            case 'youtube':
-                return this.player.getPlayerState() === YT.PlayerState.PLAYING;
-            case 'vimeo':
-            case 'mp4':
-                return this.playing;
-        }
-        
-        return false;
+        return this.adapter.isPlaying();
     }
     
     async setVolume(volume) {
         this.volume = Math.max(0, Math.min(1, volume));
         
         if (!this.isReady_) return;
-        
-        switch (this.type) {
-            case 'youtube':
-                this.player.setVolume(this.volume * 100);
-                break;
-            case 'vimeo':
-                await this.player.setVolume(this.volume);
-                break;
-            case 'mp4':
-                this.player.volume = this.volume;
-                break;
-        }
+        await this.adapter.setVolume(this.volume);
     }
     
     async toggleMute() {
         if (!this.isReady_) return;
-        
-        switch (this.type) {
-            case 'youtube':
-                if (this.player.isMuted()) {
-                    this.player.unMute();
-                    this.muted = false;
-                } else {
-                    this.player.mute();
-                    this.muted = true;
-                }
-                break;
-            case 'vimeo':
-                const volume = await this.player.getVolume();
-                if (volume > 0) {
-                    this.volume = volume;
-                    await this.player.setVolume(0);
-                    this.muted = true;
-                } else {
-                    await this.player.setVolume(this.volume);
-                    this.muted = false;
-                }
-                break;
-            case 'mp4':
-                this.player.muted = !this.player.muted;
-                this.muted = this.player.muted;
-                break;
-        }
+        await this.adapter.toggleMute();
     }
     
     isMuted() {
         if (!this.isReady_) return false;
+        return this.adapter.isMuted();
+    }
+    
+    async setPlaybackRate(rate) {
+        if (!this.isReady_) return false;
         
-        switch (this.type) {
-            case 'youtube':
-                return this.player.isMuted();
-            case 'vimeo':
-            case 'mp4':
-                return this.muted;
+        const applied = await this.adapter.setPlaybackRate(rate);
+        if (applied) {
+            this.playbackRate = rate;
         }
-        
-        return false;
+        return applied;
+    }
+    
+    getPlaybackRate() {
+        if (!this.isReady_) return this.playbackRate;
+        return this.adapter.getPlaybackRate();
+    }
+    
+    async getTextTracks() {
+        if (!this.isReady_) return [];
+        return this.adapter.getTextTracks();
+    }
+    
+    async setTextTrack(id) {
+        if (!this.isReady_) return;
+        await this.adapter.setTextTrack(id);
+    }
+    
+    isLive() {
+        if (!this.isReady_) return false;
+        return this.adapter.isLive();
+    }
+    
+    setLiveTimeline(timeline) {
+        this.liveTimeline = timeline;
+    }
+    
+    captureStream() {
+        if (!this.isReady_) return null;
+        return this.adapter.captureStream();
+    }
+    
+    canPictureInPicture() {
+        if (!this.isReady_) return false;
+        return this.adapter.canPictureInPicture();
+    }
+    
+    async togglePictureInPicture() {
+        if (!this.isReady_) return;
+        await this.adapter.togglePictureInPicture();
     }
     
     isReady() {
@@ -428,26 +319,25 @@ export class VideoPlayer {
     }
     
     destroy() {
-        if (this.player) {
-            switch (this.type) {
-                case 'youtube':
-                    if (this.player.destroy) {
-                        this.player.destroy();
-                    }
-                    break;
-                case 'vimeo':
-                    if (this.player.destroy) {
-                        this.player.destroy();
-                    }
-                    break;
-                case 'mp4':
-                    this.player.remove();
-                    break;
-            }
+        this.stopTimeTracking();
+        
+        if (this.adapter) {
+            this.adapter.destroy();
         }
         
         this.container.innerHTML = '';
-        this.player = null;
+        this.adapter = null;
         this.isReady_ = false;
+        this.pendingSeek = null;
+        this.buffering = false;
     }
 }
+
+// Built-in adapters; media goes last since it matches on file extension alone
+VideoPlayer.registerAdapter('youtube', YouTubeAdapter);
+VideoPlayer.registerAdapter('vimeo', VimeoAdapter);
+VideoPlayer.registerAdapter('hls', HLSAdapter);
+VideoPlayer.registerAdapter('dash', DASHAdapter);
+VideoPlayer.registerAdapter('local', LocalFileAdapter);
+VideoPlayer.registerAdapter('webrtc', WebRTCAdapter);
+VideoPlayer.registerAdapter('media', MediaAdapter);
@@ -0,0 +1,255 @@
+// Viewer votes on playback (skip, pause, rewind), tallied over presence
+import { showToast, escapeHtml, RateLimiter } from './app.js';
+
+const VOTE_ACTIONS = {
+    skip: { icon: '⏭️', label: 'skip this video' },
+    pause: { icon: '⏸️', label: 'pause for a break' },
+    rewind: { icon: '⏪', label: 'rewind 30 seconds' }
+};
+
+export class VoteManager {
+    constructor(db, roomId, userId, userName, presenceManager, chatManager) {
+        this.db = db;
+        this.roomId = roomId;
+        this.userId = userId;
+        this.userName = userName;
+        this.presenceManager = presenceManager;
+        this.chatManager = chatManager;
+        this.isHost = false;
+        
+        // Current rooms/{id}/vote node: { id, action, startedBy, startedByName, voters }
+        this.vote = null;
+        
+        // Share of online viewers needed for a vote to pass
+        this.threshold = 0.5;
+        
+        // Votes that don't pass within a minute fail
+        this.voteDuration = 60000;
+        this.expiryTimeout = null;
+        
+        // Rate limiting (1 new vote per 30s)
+        this.rateLimiter = new RateLimiter(1, 30000);
+        
+        this.onPassCallback = null;
+        
+        this.init();
+    }
+    
+    init() {
+        this.setupEventListeners();
+        this.setupFirebaseListeners();
+    }
+    
+    setupEventListeners() {
+        document.getElementById('vote-controls').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-vote]');
+            if (button) {
+                this.startVote(button.dataset.vote);
+            }
+        });
+        
+        document.getElementById('vote-yes-btn').addEventListener('click', () => {
+            this.castVote();
+        });
+    }
+    
+    async setupFirebaseListeners() {
+        const { ref, onValue } =
+            await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        const voteRef = ref(this.db, `rooms/${this.roomId}/vote`);
+        onValue(voteRef, (snapshot) => {
+            this.handleVote(snapshot.val());
+        });
+    }
+    
+    handleVote(vote) {
+        // A vote on an action we don't know can't be shown or carried out; the host clears it
+        if (vote && !VOTE_ACTIONS[vote.action]) {
+            if (this.isHost) {
+                this.discardVote(vote);
+            }
+            vote = null;
+        }
+        
+        const previousId = this.vote ? this.vote.id : null;
+        this.vote = vote;
+        
+        if (!vote || vote.id !== previousId) {
+            clearTimeout(this.expiryTimeout);
+            this.expiryTimeout = null;
+        }
+        
+        // The host resolves votes, failing them once they run out of time
+        if (vote && this.isHost && !this.expiryTimeout) {
+            this.expiryTimeout = setTimeout(() => {
+                this.resolveVote(false);
+            }, this.voteDuration);
+        }
+        
+        this.updateTally();
+    }
+    
+    async startVote(action) {
+        if (!VOTE_ACTIONS[action]) return;
+        
+        if (this.vote) {
+            showToast('A vote is already in progress', 'warning');
+            return;
+        }
+        
+        if (!this.rateLimiter.canMakeCall()) {
+            const waitTime = Math.ceil(this.rateLimiter.getTimeUntilNextCall() / 1000);
+            showToast(`Please wait ${waitTime}s before starting another vote`, 'warning');
+            return;
+        }
+        
+        const { ref, runTransaction } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        try {
+            // Only one vote at a time, even if two viewers start one together
+            const result = await runTransaction(ref(this.db, `rooms/${this.roomId}/vote`), (current) => {
+                if (current) return;
+                
+                return {
+                    id: `vote_${Date.now().toString(36)}`,
+                    action,
+                    startedBy: this.userId,
+                    startedByName: this.userName,
+                    voters: { [this.userId]: true }
+                };
+            });
+            
+            if (!result.committed) {
+                showToast('A vote is already in progress', 'warning');
+                return;
+            }
+            
+            this.chatManager.sendNotice(`started a vote to ${VOTE_ACTIONS[action].label}`);
+        } catch (error) {
+            console.error('Failed to start vote:', error);
+            showToast('Failed to start vote', 'error');
+        }
+    }
+    
+    async castVote() {
+        if (!this.vote) return;
+        
+        const { ref, set } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        try {
+            await set(ref(this.db, `rooms/${this.roomId}/vote/voters/${this.userId}`), true);
+        } catch (error) {
+            console.error('Failed to cast vote:', error);
+            showToast('Failed to cast vote', 'error');
+        }
+    }
+    
+    // Only viewers still online count, on both sides of the threshold
+    getTally() {
+        const users = this.presenceManager.getOnlineUsers();
+        const voters = (this.vote && this.vote.voters) || {};
+        
+        return {
+            votes: users.filter(user => voters[user.userId]).length,
+            needed: Math.max(1, Math.ceil(users.length * this.threshold))
+        };
+    }
+    
+    // Called when the vote or presence changes
+    updateTally() {
+        this.render();
+        
+        if (!this.isHost || !this.vote) return;
+        
+        const { votes, needed } = this.getTally();
+        if (votes >= needed) {
+            this.resolveVote(true);
+        }
+    }
+    
+    async discardVote(vote) {
+        const { ref, runTransaction } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        try {
+            await runTransaction(ref(this.db, `rooms/${this.roomId}/vote`), (current) => {
+                if (current && current.id === vote.id) return null;
+                return;
+            });
+        } catch (error) {
+            console.error('Failed to discard vote:', error);
+        }
+    }
+    
+    async resolveVote(passed) {
+        if (!this.isHost || !this.vote) return;
+        
+        const vote = this.vote;
+        const { votes, needed } = this.getTally();
+        const { ref, runTransaction } = await import('https://www.gstatic.com/firebasejs/9.22.0/firebase-database.js');
+        
+        try {
+            // Clear the vote only if it is still the one we resolved
+            const result = await runTransaction(ref(this.db, `rooms/${this.roomId}/vote`), (current) => {
+                if (current && current.id === vote.id) return null;
+                return;
+            });
+            if (!result.committed) return;
+        } catch (error) {
+            console.error('Failed to resolve vote:', error);
+            return;
+        }
+        
+        const label = VOTE_ACTIONS[vote.action].label;
+        this.chatManager.sendSystemMessage(passed
+            ? `Vote to ${label} passed (${votes}/${needed})`
+            : `Vote to ${label} failed (${votes}/${needed})`);
+        
+        if (passed && this.onPassCallback) {
+            this.onPassCallback(vote.action);
+        }
+    }
+    
+    render() {
+        const banner = document.getElementById('vote-banner');
+        
+        // Viewers vote, the host just acts
+        document.getElementById('vote-controls').classList.toggle('hidden', this.isHost);
+        document.querySelectorAll('#vote-controls button').forEach(button => {
+            button.disabled = Boolean(this.vote);
+        });
+        
+        if (!this.vote) {
+            banner.classList.add('hidden');
+            return;
+        }
+        
+        const { icon, label } = VOTE_ACTIONS[this.vote.action];
+        const { votes, needed } = this.getTally();
+        const hasVoted = Boolean(this.vote.voters && this.vote.voters[this.userId]);
+        
+        document.getElementById('vote-text').innerHTML =
+            `${icon} <strong>${escapeHtml(this.vote.startedByName)}</strong> wants to ${label} · ${votes}/${needed} votes`;
+        document.getElementById('vote-yes-btn').disabled = hasVoted;
+        banner.classList.remove('hidden');
+    }
+    
+    setThreshold(threshold) {
+        this.threshold = threshold;
+        this.updateTally();
+    }
+    
+    setHost(isHost) {
+        this.isHost = isHost;
+        this.handleVote(this.vote);
+    }
+    
+    onPass(callback) {
+        this.onPassCallback = callback;
+    }
+    
+    destroy() {
+        clearTimeout(this.expiryTimeout);
+        this.onPassCallback = null;
+    }
+}
@@ -0,0 +1,194 @@
+// In-memory stand-in for the parts of the Firebase database API the host lease uses
+//
+// One FakeServer holds the data; each simulated client gets its own connection from connect().
+// Every round trip takes a random few milliseconds, so transactions from several clients really
+// do interleave, and a transaction only commits if nobody wrote in between (otherwise it reruns,
+// as Firebase's do).
+
+function clone(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+// Fill in serverTimestamp() placeholders the way the server does
+function resolveTimestamps(values) {
+    return Object.fromEntries(Object.entries(values).map(([key, value]) => [
+        key,
+        value && value['.sv'] === 'timestamp' ? Date.now() : value
+    ]));
+}
+
+function snapshotOf(value) {
+    const copy = clone(value);
+    return { val: () => clone(copy) };
+}
+
+export class FakeServer {
+    constructor({ minLatency = 2, maxLatency = 25 } = {}) {
+        this.minLatency = minLatency;
+        this.maxLatency = maxLatency;
+        
+        // path -> { value, version }
+        this.data = new Map();
+        this.connections = new Set();
+        this.nextId = 1;
+        
+        this.firebase = this.createModule();
+    }
+    
+    delay() {
+        const ms = this.minLatency + Math.random() * (this.maxLatency - this.minLatency);
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+    
+    read(path) {
+        return this.data.get(path) || { value: null, version: 0 };
+    }
+    
+    write(path, value) {
+        this.data.set(path, { value: clone(value), version: this.read(path).version + 1 });
+        
+        this.connections.forEach(connection => {
+            connection.listeners
+                .filter(listener => listener.path === path)
+                .forEach(listener => this.deliver(connection, listener, value));
+        });
+    }
+    
+    // Resolves once the connection's listeners on a path have heard everything sent so far
+    heard(connection, path) {
+        return Promise.all(connection.listeners
+            .filter(listener => listener.path === path)
+            .map(listener => listener.chain));
+    }
+    
+    // Events reach each listener in order, each after its own delay
+    deliver(connection, listener, value) {
+        const snapshot = snapshotOf(value);
+        
+        listener.chain = listener.chain
+            .then(() => this.delay())
+            .then(() => {
+                if (connection.online && listener.active) {
+                    listener.callback(snapshot);
+                }
+            });
+    }
+    
+    connect(name = `client-${this.nextId++}`) {
+        const connection = {
+            name,
+            online: true,
+            listeners: [],
+            onDisconnect: new Map(),  // path -> action the server runs when the client goes
+            outbox: [],               // onDisconnect changes made while offline, sent on reconnect
+            sending: Promise.resolve()
+        };
+        this.connections.add(connection);
+        return connection;
+    }
+    
+    // The client notices at once; the server runs its onDisconnect actions a little later
+    async disconnect(connection) {
+        connection.online = false;
+        connection.listeners
+            .filter(listener => listener.path === '.info/connected')
+            .forEach(listener => listener.callback(snapshotOf(false)));
+        
+        await this.delay();
+        
+        connection.onDisconnect.forEach((action, path) => action(path));
+        connection.onDisconnect.clear();
+    }
+    
+    reconnect(connection) {
+        connection.online = true;
+        connection.outbox.splice(0).forEach(send => send());
+        
+        connection.listeners.forEach(listener => {
+            const value = listener.path === '.info/connected' ? true : this.read(listener.path).value;
+            this.deliver(connection, listener, value);
+        });
+    }
+    
+    // A client that vanished for good: no more events, and the server cleans up after it
+    async drop(connection) {
+        await this.disconnect(connection);
+        this.connections.delete(connection);
+    }
+    
+    createModule() {
+        const server = this;
+        
+        return {
+            ref(connection, path) {
+                return { connection, path };
+            },
+            
+            serverTimestamp() {
+                return { '.sv': 'timestamp' };
+            },
+            
+            onValue({ connection, path }, callback) {
+                const listener = { path, callback, active: true, chain: Promise.resolve() };
+                connection.listeners.push(listener);
+                
+                const value = path === '.info/connected' ? connection.online : server.read(path).value;
+                server.deliver(connection, listener, value);
+                
+                return () => {
+                    listener.active = false;
+                    connection.listeners = connection.listeners.filter(item => item !== listener);
+                };
+            },
+            
+            async runTransaction({ connection, path }, update) {
+                for (let attempt = 0; attempt < 25; attempt++) {
+                    await server.delay();
+                    if (!connection.online) throw new Error(`${connection.name} is offline`);
+                    
+                    const { value, version } = server.read(path);
+                    const next = update(clone(value));
+                    
+                    if (next === undefined) {
+                        return { committed: false, snapshot: snapshotOf(value) };
+                    }
+                    
+                    await server.delay();
+                    if (!connection.online) throw new Error(`${connection.name} is offline`);
+                    
+                    // Someone else wrote first; run the update again on their value
+                    if (server.read(path).version !== version) continue;
+                    
+                    // Like Firebase, the writer's own listeners fire before the transaction resolves
+                    server.write(path, next);
+                    await server.heard(connection, path);
+                    return { committed: true, snapshot: snapshotOf(next) };
+                }
+                throw new Error('Transaction kept conflicting');
+            },
+            
+            onDisconnect({ connection, path }) {
+                // Changes reach the server in the order they were made; offline, they wait until
+                // the client is back
+                const send = (change) => {
+                    if (!connection.online) {
+                        connection.outbox.push(change);
+                        return Promise.resolve();
+                    }
+                    connection.sending = connection.sending
+                        .then(() => server.delay())
+                        .then(change);
+                    return connection.sending;
+                };
+                
+                return {
+                    remove: () => send(() => connection.onDisconnect.set(path, () => server.write(path, null))),
+                    update: (values) => send(() => connection.onDisconnect.set(path, () => {
+                        server.write(path, { ...server.read(path).value, ...resolveTimestamps(values) });
+                    })),
+                    cancel: () => send(() => connection.onDisconnect.delete(path))
+                };
+            }
+        };
+    }
+}
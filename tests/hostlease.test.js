@@ -0,0 +1,342 @@
+// Host election under concurrent joins, leaves, crashes, stalls, reloads and duplicate tabs
+//
+// Run with: node --test tests/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FakeServer } from './fake-firebase.js';
+import {
+    HostLeaseManager,
+    claimLease,
+    isLeaseValid,
+    transferLease,
+    releaseLease,
+    useFirebase
+} from '../js/hostlease.js';
+
+// Short leases so the whole run takes seconds
+const LEASE = { leaseDuration: 400, renewInterval: 100, reconnectGrace: 100 };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A room of simulated clients, cleaned up when the test ends (even if it fails)
+function createRoom(t) {
+    const server = new FakeServer();
+    const clients = [];
+    let violations = 0;
+    
+    useFirebase(server.firebase);
+    
+    // Check "at most one host" every few milliseconds for as long as the room runs
+    const watchTimer = setInterval(() => {
+        if (room.hosts().length > 1) violations++;
+    }, 5);
+    
+    const room = {
+        server,
+        clients,
+        
+        // A tab; several tabs (or a reload) can share one user id
+        async join(name, userId = name) {
+            const connection = server.connect(name);
+            const manager = new HostLeaseManager(connection, 'room', userId, name, userId, () => Date.now(), LEASE);
+            const client = { name, userId, connection, manager };
+            
+            clients.push(client);
+            await manager.start();
+            return client;
+        },
+        
+        // Closes the tab: releases the lease and goes away
+        async leave(client) {
+            clients.splice(clients.indexOf(client), 1);
+            await client.manager.destroy();
+            await server.drop(client.connection);
+        },
+        
+        // The tab dies without a word; only the server's onDisconnect cleans up
+        async crash(client) {
+            clients.splice(clients.indexOf(client), 1);
+            stall(client);
+            await server.drop(client.connection);
+        },
+        
+        hosts() {
+            return clients.filter(client => client.manager.isHost());
+        },
+        
+        violations() {
+            return violations;
+        },
+        
+        async settle() {
+            // Long enough for a lapsed lease to be noticed and claimed
+            await sleep(LEASE.leaseDuration + 300);
+        },
+        
+        assertOneHost() {
+            const hosts = room.hosts();
+            assert.equal(hosts.length, 1, `expected one host, got ${hosts.map(client => client.name).join(', ') || 'none'}`);
+            
+            // Everyone agrees on who it is
+            clients.forEach(client => {
+                assert.equal(client.manager.getHostId(), hosts[0].userId, `${client.name} disagrees about the host`);
+            });
+            return hosts[0];
+        },
+        
+        async close() {
+            clearInterval(watchTimer);
+            await Promise.all(clients.map(client => client.manager.destroy()));
+            clients.length = 0;
+        }
+    };
+    
+    t.after(() => room.close());
+    return room;
+}
+
+// Freeze a client as if its tab were suspended: no renewals, no reactions
+function stall(client) {
+    const { manager } = client;
+    manager.stopped = true;
+    clearInterval(manager.renewTimer);
+    clearTimeout(manager.expiryTimer);
+}
+
+const A1 = { userId: 'a', connectionId: 'a1', name: 'A' };
+const A2 = { userId: 'a', connectionId: 'a2', name: 'A' };
+const B1 = { userId: 'b', connectionId: 'b1', name: 'B' };
+
+test('claimLease takes free or lapsed leases and renews our own', () => {
+    const now = 1000;
+    
+    assert.equal(claimLease(null, A1, now, 100, 10).userId, 'a');
+    assert.equal(claimLease({ ...B1, since: 0, expiresAt: now - 1 }, A1, now, 100, 10).userId, 'a');
+    assert.equal(claimLease({ ...B1, since: 0, expiresAt: now + 1 }, A1, now, 100, 10), undefined);
+    
+    const renewed = claimLease({ ...A1, since: 500, expiresAt: now + 1, grace: 10 }, A1, now, 100, 10);
+    assert.deepEqual(renewed, { ...A1, since: 500, expiresAt: now + 100, grace: 10 });
+});
+
+test('claimLease lets the same user take back a dropped or handed-over lease, but not a live one', () => {
+    const now = 1000;
+    const lease = { ...A1, since: 0, expiresAt: now + 100, grace: 50 };
+    
+    // Another tab of the same user while the first is still connected
+    assert.equal(claimLease(lease, A2, now, 100, 50), undefined);
+    
+    // The first tab dropped (a reload): within the grace period only the same user gets it back
+    const dropped = { ...lease, disconnectedAt: now - 10 };
+    assert.equal(isLeaseValid(dropped, now), true);
+    assert.equal(claimLease(dropped, A2, now, 100, 50).connectionId, 'a2');
+    assert.equal(claimLease(dropped, B1, now, 100, 50), undefined);
+    assert.equal(isLeaseValid(dropped, now + 40), false);
+    
+    // Handed to the user, not to a tab
+    assert.equal(claimLease({ ...lease, connectionId: null }, A2, now, 100, 50).connectionId, 'a2');
+});
+
+test('releaseLease only gives up our own lease', () => {
+    assert.equal(releaseLease({ ...A1 }, A1), null);
+    assert.equal(releaseLease({ ...A1 }, A2), undefined);
+    assert.equal(releaseLease({ ...B1 }, A1), undefined);
+    assert.equal(releaseLease(null, A1), undefined);
+});
+
+test('clients joining at once elect exactly one host', async (t) => {
+    const room = createRoom(t);
+    
+    await Promise.all(Array.from({ length: 8 }, (_, i) => room.join(`user-${i}`)));
+    await room.settle();
+    
+    room.assertOneHost();
+    assert.equal(room.violations(), 0);
+});
+
+test('a host that leaves hands over to exactly one other client', async (t) => {
+    const room = createRoom(t);
+    
+    await Promise.all(Array.from({ length: 5 }, (_, i) => room.join(`user-${i}`)));
+    await room.settle();
+    
+    const host = room.assertOneHost();
+    await room.leave(host);
+    await sleep(150);
+    
+    // Released leases are picked up without waiting for them to expire
+    assert.notEqual(room.assertOneHost(), host);
+    assert.equal(room.violations(), 0);
+});
+
+test('a host that crashes is replaced once the server notices', async (t) => {
+    const room = createRoom(t);
+    
+    await Promise.all(Array.from({ length: 5 }, (_, i) => room.join(`user-${i}`)));
+    await room.settle();
+    
+    const host = room.assertOneHost();
+    await room.crash(host);
+    
+    // The lease outlives the crash by the reconnect grace
+    await sleep(LEASE.reconnectGrace + 200);
+    
+    assert.notEqual(room.assertOneHost(), host);
+    assert.equal(room.violations(), 0);
+});
+
+test('a stalled host loses the lease when it expires', async (t) => {
+    const room = createRoom(t);
+    
+    await Promise.all(Array.from({ length: 4 }, (_, i) => room.join(`user-${i}`)));
+    await room.settle();
+    
+    // Still connected, but its heartbeat has stopped
+    const host = room.assertOneHost();
+    stall(host);
+    room.clients.splice(room.clients.indexOf(host), 1);
+    
+    await room.settle();
+    
+    const newHost = room.assertOneHost();
+    assert.notEqual(newHost, host);
+    assert.equal(host.manager.isHost(), false);
+    assert.equal(room.violations(), 0);
+    
+    host.manager.unsubscribes.forEach(unsubscribe => unsubscribe());
+});
+
+test('a host whose connection blips steps down, then gets the lease back', async (t) => {
+    const room = createRoom(t);
+    
+    await Promise.all(Array.from({ length: 4 }, (_, i) => room.join(`user-${i}`)));
+    await room.settle();
+    
+    const host = room.assertOneHost();
+    await room.server.disconnect(host.connection);
+    assert.equal(host.manager.isHost(), false);
+    
+    room.server.reconnect(host.connection);
+    await room.settle();
+    
+    assert.equal(room.assertOneHost(), host);
+    assert.equal(room.violations(), 0);
+});
+
+test('a host that stays away past the grace period does not take the lease back', async (t) => {
+    const room = createRoom(t);
+    
+    await Promise.all(Array.from({ length: 4 }, (_, i) => room.join(`user-${i}`)));
+    await room.settle();
+    
+    const host = room.assertOneHost();
+    await room.server.disconnect(host.connection);
+    
+    await sleep(LEASE.reconnectGrace + 200);
+    room.server.reconnect(host.connection);
+    await room.settle();
+    
+    assert.notEqual(room.assertOneHost(), host);
+    assert.equal(room.violations(), 0);
+});
+
+test('a host that reloads keeps hosting under the same user id', async (t) => {
+    const room = createRoom(t);
+    
+    await Promise.all(Array.from({ length: 4 }, (_, i) => room.join(`user-${i}`)));
+    await room.settle();
+    
+    const host = room.assertOneHost();
+    await room.crash(host);
+    const reloaded = await room.join(`${host.name}-reloaded`, host.userId);
+    await room.settle();
+    
+    assert.equal(room.assertOneHost(), reloaded);
+    assert.equal(room.violations(), 0);
+});
+
+test('the same user in several tabs is host in only one of them', async (t) => {
+    const room = createRoom(t);
+    
+    await Promise.all([
+        ...Array.from({ length: 3 }, (_, i) => room.join(`tab-${i}`, 'same-user')),
+        room.join('someone-else')
+    ]);
+    await room.settle();
+    
+    // Whoever won, the other tabs of that user are not hosts as well
+    room.assertOneHost();
+    assert.equal(room.violations(), 0);
+});
+
+test('exactly one host survives clients joining and leaving concurrently', async (t) => {
+    const room = createRoom(t);
+    let joined = 0;
+    
+    await Promise.all(Array.from({ length: 4 }, () => room.join(`user-${joined++}`)));
+    
+    for (let round = 0; round < 15; round++) {
+        const changes = [];
+        const present = [...room.clients];
+        
+        // A few arrivals and departures racing each other
+        for (let i = 0; i < 3; i++) {
+            const roll = Math.random();
+            
+            if (roll < 0.4 || present.length < 3) {
+                changes.push(room.join(`user-${joined++}`));
+                continue;
+            }
+            
+            const [client] = present.splice(Math.floor(Math.random() * present.length), 1);
+            if (roll < 0.7) {
+                changes.push(room.leave(client));
+            } else {
+                changes.push(room.crash(client));
+            }
+        }
+        
+        await Promise.all(changes);
+        await sleep(Math.random() * 150);
+    }
+    
+    await room.settle();
+    room.assertOneHost();
+    assert.equal(room.violations(), 0);
+});
+
+test('transferLease only hands over a lease we still hold', () => {
+    const now = 1000;
+    const lease = { ...A1, since: 0, expiresAt: now + 50 };
+    
+    assert.deepEqual(transferLease(lease, A1, B1, now, 100, 10), {
+        userId: 'b',
+        connectionId: null,
+        name: 'B',
+        since: now,
+        expiresAt: now + 100,
+        grace: 10,
+        transferredFrom: 'a',
+        transferredFromName: 'A'
+    });
+    assert.equal(transferLease(lease, A2, B1, now, 100, 10), undefined);
+    assert.equal(transferLease({ ...lease, expiresAt: now - 1 }, A1, B1, now, 100, 10), undefined);
+});
+
+test('a host can hand over to a chosen viewer, who keeps the lease', async (t) => {
+    const room = createRoom(t);
+    
+    await Promise.all(Array.from({ length: 5 }, (_, i) => room.join(`user-${i}`)));
+    await room.settle();
+    
+    const host = room.assertOneHost();
+    const target = room.clients.find(client => client !== host);
+    
+    assert.equal(await host.manager.transferTo(target.userId, target.name), true);
+    
+    // Outlives the lease it was handed, so the new host must be renewing it
+    await room.settle();
+    assert.equal(room.assertOneHost(), target);
+    assert.equal(await host.manager.transferTo(host.userId, host.name), false);
+    assert.equal(room.violations(), 0);
+});